@@ -0,0 +1,204 @@
+// admin.js - Live room dashboard for operators, backed by /api/admin
+const statusElem = document.getElementById("status");
+const roomsElem = document.getElementById("rooms");
+const detailsElem = document.getElementById("room-details");
+const participantsElem = document.getElementById("participants");
+const waitingElem = document.getElementById("waiting");
+const tokenInput = document.getElementById("admin-token");
+
+let adminToken = sessionStorage.getItem("adminToken");
+let events = null;
+let selectedRoomId = null;
+let latestRooms = [];
+
+document.getElementById("login-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  adminToken = tokenInput.value.trim();
+  sessionStorage.setItem("adminToken", adminToken);
+  connectEvents();
+});
+
+if (adminToken) {
+  connectEvents();
+}
+
+// Ages and expiry times move on even when nothing else changes
+setInterval(() => renderRooms(latestRooms), 30000);
+
+async function adminFetch(path, options) {
+  const response = await fetch(`/api/admin${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+  if (response.status === 401) {
+    throw new Error("Invalid admin token");
+  }
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Request failed (${response.status})`);
+  }
+  return response;
+}
+
+// The server pushes the full room list whenever anything changes
+async function connectEvents() {
+  if (events) {
+    events.close();
+  }
+
+  // Check the token first - EventSource can't tell us why it failed
+  try {
+    const response = await adminFetch("/rooms");
+    renderRooms((await response.json()).rooms);
+  } catch (error) {
+    showStatus(error.message, true);
+    return;
+  }
+
+  events = new EventSource(
+    `/api/admin/events?token=${encodeURIComponent(adminToken)}`
+  );
+  events.addEventListener("rooms", (event) => {
+    showStatus(`Live - updated ${new Date().toLocaleTimeString()}`);
+    renderRooms(JSON.parse(event.data));
+    if (selectedRoomId) {
+      loadRoomDetails(selectedRoomId);
+    }
+  });
+  events.onerror = () => {
+    // EventSource reconnects by itself
+    showStatus("Connection lost - reconnecting...", true);
+  };
+}
+
+function showStatus(text, isError) {
+  statusElem.textContent = text;
+  statusElem.classList.toggle("error", !!isError);
+}
+
+function renderRooms(rooms) {
+  latestRooms = rooms;
+  roomsElem.innerHTML = "";
+
+  if (rooms.length === 0) {
+    const row = roomsElem.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 8;
+    cell.textContent = "No rooms";
+    return;
+  }
+
+  rooms.forEach((room) => {
+    const row = roomsElem.insertRow();
+    row.className = "selectable";
+    row.classList.toggle("selected", room.id === selectedRoomId);
+    row.addEventListener("click", () => selectRoom(room.id));
+
+    addCell(row, room.id).classList.add("mono");
+    addCell(row, formatAge(room.createdAt));
+    addCell(row, `${room.participants} / ${room.maxParticipants}`);
+    addCell(row, room.muted);
+    addCell(row, room.waiting);
+    addCell(row, room.passcodeProtected ? "Yes" : "No");
+    addCell(row, room.claimed ? formatAge(room.expiresAt) : "Unclaimed");
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "danger";
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      closeRoom(room.id);
+    });
+    row.insertCell().appendChild(closeBtn);
+  });
+}
+
+function addCell(row, text) {
+  const cell = row.insertCell();
+  cell.textContent = text;
+  return cell;
+}
+
+// "5 min ago" for the past, "in 3 h" for the future
+function formatAge(timestamp) {
+  const minutes = Math.round(Math.abs(Date.now() - timestamp) / 60000);
+  const text =
+    minutes < 60
+      ? `${minutes} min`
+      : minutes < 48 * 60
+      ? `${Math.round(minutes / 60)} h`
+      : `${Math.round(minutes / 1440)} d`;
+  return timestamp > Date.now() ? `in ${text}` : `${text} ago`;
+}
+
+function selectRoom(roomId) {
+  selectedRoomId = roomId;
+  renderRooms(latestRooms);
+  loadRoomDetails(roomId);
+}
+
+async function loadRoomDetails(roomId) {
+  try {
+    const response = await adminFetch(`/rooms/${roomId}`);
+    if (response.status === 404) {
+      selectedRoomId = null;
+      detailsElem.classList.remove("show");
+      return;
+    }
+    renderRoomDetails(await response.json());
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+}
+
+function renderRoomDetails(room) {
+  document.getElementById("details-room-id").textContent = room.id;
+  detailsElem.classList.add("show");
+
+  participantsElem.innerHTML = "";
+  room.participants.forEach((participant) => {
+    const row = participantsElem.insertRow();
+    addCell(row, participant.peerId).classList.add("mono");
+    addCell(row, participant.displayName || "-");
+    addCell(row, participant.ip || "-").classList.add("mono");
+    addCell(row, participant.isHost ? "Host" : "Guest");
+    addCell(row, participant.isMuted ? "Muted" : "On");
+    addCell(row, participant.isRecording ? "Recording" : "-");
+    addCell(row, participant.reconnecting ? "Reconnecting" : "Connected");
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "danger";
+    removeBtn.textContent = "Disconnect";
+    removeBtn.addEventListener("click", () => {
+      removeParticipant(room.id, participant.peerId);
+    });
+    row.insertCell().appendChild(removeBtn);
+  });
+
+  waitingElem.innerHTML = "";
+  room.waiting.forEach((guest) => {
+    const row = waitingElem.insertRow();
+    addCell(row, guest.peerId).classList.add("mono");
+    addCell(row, guest.displayName || "-");
+    addCell(row, guest.ip || "-").classList.add("mono");
+  });
+}
+
+async function closeRoom(roomId) {
+  if (!confirm(`Close room ${roomId} and send everyone in it home?`)) return;
+  try {
+    await adminFetch(`/rooms/${roomId}`, { method: "DELETE" });
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+}
+
+async function removeParticipant(roomId, peerId) {
+  if (!confirm("Disconnect this participant?")) return;
+  try {
+    await adminFetch(`/rooms/${roomId}/participants/${peerId}`, {
+      method: "DELETE",
+    });
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+}
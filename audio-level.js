@@ -0,0 +1,41 @@
+// audio-level.js - How loud a track is right now. The mic meter in settings
+// and speaking detection share one audio context and measure the same way.
+let levelContext = null;
+
+// Browsers keep audio contexts suspended until the user interacts
+document.addEventListener("pointerdown", () => {
+  if (levelContext && levelContext.state === "suspended") {
+    levelContext.resume().catch(() => {});
+  }
+});
+
+// Returns { level, stop }, or null without Web Audio. level() is the RMS of
+// the latest samples: 0 for silence, roughly 0.05-0.2 for normal speech.
+function createLevelMeter(track) {
+  if (!window.AudioContext) return null;
+
+  if (!levelContext) {
+    levelContext = new AudioContext();
+  }
+  levelContext.resume().catch(() => {});
+
+  const analyser = levelContext.createAnalyser();
+  analyser.fftSize = 512;
+  const source = levelContext.createMediaStreamSource(new MediaStream([track]));
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+
+  return {
+    level() {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (const sample of samples) {
+        sum += sample * sample;
+      }
+      return Math.sqrt(sum / samples.length);
+    },
+    stop() {
+      source.disconnect();
+    },
+  };
+}
@@ -0,0 +1,1151 @@
+// call-client.js - A mesh WebRTC call with no UI attached
+//
+// CallClient does the signaling, keeps one RTCPeerConnection per remote
+// participant (and gets them back when they break), and sends our camera,
+// mic or screen. It never touches the page: everything a UI needs comes out
+// as events, and everything it can do is a method. call.html is built on it
+// (see main.js); other apps embed calls the same way:
+//
+//   const call = new CallClient({ roomId: "abc123" });
+//   call.on("remote-track", (peerId, track, stream) => { ... });
+//   await call.startMedia();
+//   await call.join();
+//
+// Events:
+//   "state-change" (state, info)   idle -> connecting -> [waiting] -> joined,
+//                                  reconnecting while signaling is down,
+//                                  then left or kicked. info.resumed is set
+//                                  on a "joined" that kept our old seat.
+//   "remote-track" (peerId, track, stream)
+//   "peer-joined" (peerId)         first time we hear of a participant;
+//                                  their name is peers.get(peerId).displayName
+//   "peer-left" (peerId)
+//   "peer-state" (peerId, state)   a connection state (connecting,
+//                                  connected, disconnected, failed, closed)
+//                                  or a recovery step (recovering,
+//                                  rebuilding, restarting, gave-up)
+//   "peer-muted" (peerId, isMuted)
+//   "peer-video" (peerId, isVideo)  their camera went on or off
+//   "peer-sharing" (peerId, isSharing)
+//   "peer-recording" (peerId, isRecording)
+//   "mute-change" (isMuted), "video-change" (isVideo) - ours
+//   "screen-share" (isSharing)     ours started or stopped
+//   "track-ended" (track)          our camera or mic went away
+//   "host-change" (hostPeerId, isHost)
+//   "host-assigned" (hostToken)    keep it to regain host rights; null for the owner
+//   "knock" (peerId, displayName), "knock-cancelled" (peerId) - host only
+//   "data-channel" (peerId, channel)  "chat" and "files", per connection
+//   "chat" (peerId, message)       chat relayed by the signaling server
+//   "error" ({ code, message, redirect })
+
+const MAX_RECONNECT_ATTEMPTS = 5;
+// How long an ICE restart gets to reconnect before we rebuild the connection
+const ICE_RESTART_TIMEOUT = 5000;
+// Video bitrate ceiling per connection; stats.js lowers it on bad links
+const MAX_VIDEO_BITRATE = 2500000; // 2.5 Mbps
+const SIGNALING_RECONNECT_DELAY = 2000;
+// Used until (or if) the server's ICE configuration arrives
+const DEFAULT_ICE_SERVERS = [
+  { urls: ["stun:stun1.l.google.com:19302", "stun:stun2.l.google.com:19302"] },
+];
+
+class CallClient {
+  // options:
+  //   roomId          - required
+  //   signalingUrl    - WebSocket URL, defaults to this page's host
+  //   relayOnly       - force TURN, hiding our IP from peers
+  //   hostToken       - from an earlier "host-assigned", skips the lobby
+  //   ownerToken      - claim a freshly minted room (POST /api/rooms)
+  //   passcode        - for protected rooms
+  //   displayName     - what the others see us as (the server tidies it up)
+  //   muted, video    - starting state of the mic and camera
+  //   audioConstraints, videoConstraints - functions returning getUserMedia
+  //                     constraints, e.g. to pick a remembered device
+  //   log             - { debug, info, warn, error }, defaults to console
+  constructor(options) {
+    this.roomId = options.roomId;
+    this.signalingUrl = options.signalingUrl || defaultSignalingUrl();
+    this.relayOnly = !!options.relayOnly;
+    this.hostToken = options.hostToken || null;
+    this.ownerToken = options.ownerToken || null;
+    this.passcode = options.passcode || null;
+    this.displayName = options.displayName || null;
+    this.isMuted = !!options.muted;
+    this.isVideo = options.video !== false;
+    this.audioConstraints = options.audioConstraints || (() => true);
+    this.videoConstraints = options.videoConstraints || (() => true);
+    this.log = options.log || console;
+
+    this.state = "idle";
+    this.peerId = null; // Assigned by the server in the "joined" message
+    this.hostPeerId = null;
+    this.isHost = false; // Host can admit, deny and remove participants
+    this.resumeToken = null; // Lets a reconnect take back our seat
+    this.localStream = null;
+    this.screenStream = null; // Set while we're sharing our screen
+    this.isRecording = false; // The recording itself is up to the app
+
+    // Mesh topology: one RTCPeerConnection per remote participant
+    // peerId -> { pc, remoteStream, displayName, isMuted, isVideo,
+    //   isSharing, isRecording, reconnectAttempts, reconnectTimeout,
+    //   iceRestartTimeout, makingOffer, ignoreOffer, pendingCandidates }
+    this.peers = new Map();
+
+    this.ws = null;
+    this.wsReconnectTimer = null;
+    this.iceRefreshTimer = null;
+    this.servers = {
+      iceServers: DEFAULT_ICE_SERVERS,
+      iceCandidatePoolSize: 10,
+    };
+    this.handlers = new Map(); // event -> [handler]
+
+    // Bound once so leave() can remove them again
+    this.onVisibilityChange = () => {
+      if (isPageVisible()) {
+        this.resume();
+      }
+    };
+    // Closing or refreshing the tab is leaving, not a dropped connection
+    this.onPageHide = () => this.leave();
+    this.onNetworkChange = () => {
+      this.log.info("Network changed");
+      this.recoverConnections();
+    };
+  }
+
+  // ============ EVENTS ============
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.handlers.get(event);
+    if (handlers) {
+      this.handlers.set(
+        event,
+        handlers.filter((h) => h !== handler)
+      );
+    }
+    return this;
+  }
+
+  // A throwing handler mustn't take the signaling code down with it
+  emit(event, ...args) {
+    (this.handlers.get(event) || []).slice().forEach((handler) => {
+      try {
+        handler(...args);
+      } catch (error) {
+        this.log.error("Error in call event handler", {
+          event: event,
+          error: error,
+        });
+      }
+    });
+  }
+
+  setState(state, info) {
+    if (this.state === state && !info) return;
+    this.state = state;
+    this.emit("state-change", state, info || {});
+  }
+
+  // ============ JOINING AND LEAVING ============
+
+  // Ask for the camera and mic. Both are always requested, so switching
+  // either on later doesn't need another permission prompt; they start
+  // enabled according to the muted/video options.
+  async startMedia() {
+    this.localStream = await navigator.mediaDevices.getUserMedia({
+      video: this.videoConstraints(),
+      audio: this.audioConstraints(),
+    });
+
+    this.localStream.getVideoTracks().forEach((track) => {
+      track.enabled = this.isVideo;
+    });
+    this.localStream.getAudioTracks().forEach((track) => {
+      track.enabled = !this.isMuted;
+    });
+    this.localStream.getTracks().forEach((track) => this.watchTrack(track));
+    return this.localStream;
+  }
+
+  async join() {
+    if (this.state !== "idle" && this.state !== "left") return;
+    this.setState("connecting");
+    this.addPageListeners();
+    this.connect();
+  }
+
+  // Leaving on purpose - tell the server so it doesn't hold our seat. Our
+  // camera and mic stay on; stop localStream's tracks when done with them.
+  leave() {
+    if (this.state === "idle" || this.state === "left") return;
+    this.signal({ type: "leave" });
+    this.teardown("left");
+  }
+
+  teardown(state) {
+    this.removePageListeners();
+    clearTimeout(this.wsReconnectTimer);
+    this.wsReconnectTimer = null;
+    clearTimeout(this.iceRefreshTimer);
+
+    Array.from(this.peers.keys()).forEach((peerId) => this.removePeer(peerId));
+    this.stopScreenTracks();
+
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+    this.setState(state);
+  }
+
+  addPageListeners() {
+    document.addEventListener("visibilitychange", this.onVisibilityChange);
+    window.addEventListener("pagehide", this.onPageHide);
+    // Switching networks (Wi-Fi to LTE etc.) strands the current ICE
+    // candidates, so recover every connection right away instead of waiting
+    // for it to fail
+    window.addEventListener("online", this.onNetworkChange);
+    if (navigator.connection) {
+      navigator.connection.addEventListener("change", this.onNetworkChange);
+    }
+  }
+
+  removePageListeners() {
+    document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    window.removeEventListener("pagehide", this.onPageHide);
+    window.removeEventListener("online", this.onNetworkChange);
+    if (navigator.connection) {
+      navigator.connection.removeEventListener("change", this.onNetworkChange);
+    }
+  }
+
+  // The ICE configuration comes with "joined" and, on request, as
+  // "ice-servers". Ask again before the TURN credentials run out so rebuilt
+  // connections still get through.
+  setIceServers(config) {
+    const relayOnly = config.iceTransportPolicy === "relay" || this.relayOnly;
+    this.servers = {
+      iceServers: config.iceServers,
+      iceTransportPolicy: relayOnly ? "relay" : "all",
+      iceCandidatePoolSize: 10,
+    };
+    this.log.info("Got ICE servers", { count: config.iceServers.length });
+    this.applyIceServers();
+
+    clearTimeout(this.iceRefreshTimer);
+    if (config.ttl) {
+      // at 80% of the lifetime. A reconnect in the meantime brings new ones.
+      this.iceRefreshTimer = setTimeout(
+        () => this.signal({ type: "ice-servers" }),
+        config.ttl * 800
+      );
+    }
+  }
+
+  // Live connections keep the servers they were built with, so an ICE
+  // restart on a long call would try TURN credentials that have expired
+  applyIceServers() {
+    this.peers.forEach((peer, peerId) => {
+      if (!peer.pc || peer.pc.connectionState === "closed") return;
+      try {
+        // The candidate pool size can't change once negotiation has started
+        peer.pc.setConfiguration({
+          ...peer.pc.getConfiguration(),
+          iceServers: this.servers.iceServers,
+          iceTransportPolicy: this.servers.iceTransportPolicy,
+        });
+      } catch (error) {
+        this.log.error("Error updating ICE servers", {
+          peerId: peerId,
+          error: error,
+        });
+      }
+    });
+  }
+
+  // ============ LOCAL MEDIA ============
+
+  async setMuted(muted) {
+    this.isMuted = muted;
+    this.sendMediaState();
+    this.emit("mute-change", muted);
+    if (!this.localStream) return;
+
+    const audioTracks = this.localStream.getAudioTracks();
+    // Unmuting without a mic track: open one now
+    if (!muted && audioTracks.length === 0) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          audio: this.audioConstraints(),
+        });
+        await this.replaceLocalTrack(stream.getAudioTracks()[0]);
+      } catch (error) {
+        this.log.error("Failed to get audio", error);
+      }
+      return;
+    }
+    audioTracks.forEach((track) => {
+      track.enabled = !muted;
+    });
+  }
+
+  async setVideo(enabled) {
+    this.isVideo = enabled;
+    this.sendMediaState();
+    this.emit("video-change", enabled);
+    if (!this.localStream) return;
+
+    const videoTracks = this.localStream.getVideoTracks();
+    if (enabled && videoTracks.length === 0) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: this.videoConstraints(),
+        });
+        await this.replaceLocalTrack(stream.getVideoTracks()[0]);
+      } catch (error) {
+        this.log.error("Failed to get video", error);
+      }
+      return;
+    }
+    videoTracks.forEach((track) => {
+      track.enabled = enabled;
+    });
+  }
+
+  // Swap our camera or mic for another track (e.g. another device). It
+  // replaces the old one on every connection, so the call carries on
+  // uninterrupted, and inside localStream, so a self-view follows along.
+  async replaceLocalTrack(track) {
+    const old =
+      track.kind === "video"
+        ? this.localStream.getVideoTracks()[0]
+        : this.localStream.getAudioTracks()[0];
+    if (old) {
+      old.onended = null;
+      old.stop();
+      this.localStream.removeTrack(old);
+    }
+
+    this.localStream.addTrack(track);
+    this.watchTrack(track);
+    track.enabled = track.kind === "video" ? this.isVideo : !this.isMuted;
+
+    // Peers keep seeing the screen while we're presenting
+    if (track.kind === "audio" || !this.screenStream) {
+      await this.replaceOutgoingTrack(track.kind, track);
+    }
+  }
+
+  // An unplugged device ends its track; whoever picks devices can swap in
+  // another (see devices.js)
+  watchTrack(track) {
+    track.onended = () => {
+      if (isPageVisible()) {
+        this.emit("track-ended", track);
+      }
+    };
+  }
+
+  // The video track peers should receive: the screen while sharing, else the camera
+  outgoingVideoTrack() {
+    if (this.screenStream) {
+      return this.screenStream.getVideoTracks()[0];
+    }
+    return this.localStream.getVideoTracks()[0];
+  }
+
+  // Swap the outgoing audio or video on every peer connection
+  async replaceOutgoingTrack(kind, track) {
+    for (const [peerId, peer] of this.peers) {
+      if (!peer.pc) continue;
+      const sender = peer.pc
+        .getSenders()
+        .find((s) => s.track && s.track.kind === kind);
+      try {
+        if (sender) {
+          await sender.replaceTrack(track);
+        } else if (track) {
+          peer.pc.addTrack(track, this.localStream);
+        }
+      } catch {
+        await this.restartConnection(peerId);
+      }
+    }
+  }
+
+  // ============ SCREEN SHARING ============
+
+  async startScreenShare() {
+    if (this.screenStream) return;
+
+    try {
+      this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+        video: { frameRate: { ideal: 15, max: 30 } },
+        audio: false,
+      });
+    } catch (error) {
+      // User cancelled the picker or sharing isn't allowed
+      this.log.info("Screen share cancelled", error);
+      this.screenStream = null;
+      return;
+    }
+
+    const screenTrack = this.screenStream.getVideoTracks()[0];
+    // Sharpen text rather than smooth motion
+    if ("contentHint" in screenTrack) {
+      screenTrack.contentHint = "detail";
+    }
+    // Browser's own "Stop sharing" button
+    screenTrack.onended = () => {
+      this.stopScreenShare();
+    };
+
+    await this.replaceOutgoingTrack("video", screenTrack);
+    this.sendMediaState();
+    this.emit("screen-share", true);
+  }
+
+  async stopScreenShare() {
+    if (!this.stopScreenTracks()) return;
+
+    // Back to the camera (or nothing if the camera was never started)
+    await this.replaceOutgoingTrack(
+      "video",
+      this.localStream.getVideoTracks()[0] || null
+    );
+    this.sendMediaState();
+  }
+
+  stopScreenTracks() {
+    if (!this.screenStream) return false;
+
+    const stream = this.screenStream;
+    this.screenStream = null;
+    stream.getTracks().forEach((track) => {
+      track.onended = null;
+      track.stop();
+    });
+    this.emit("screen-share", false);
+    return true;
+  }
+
+  // Let everyone know we started or stopped recording the call
+  setRecording(isRecording) {
+    this.isRecording = isRecording;
+    this.signal({ type: "recording-status", isRecording: isRecording });
+  }
+
+  // ============ HOST CONTROLS ============
+
+  admit(peerId) {
+    this.signal({ type: "admit", peerId: peerId });
+  }
+
+  deny(peerId) {
+    this.signal({ type: "deny", peerId: peerId });
+  }
+
+  kick(peerId) {
+    this.signal({ type: "kick", peerId: peerId });
+  }
+
+  // After a passcode-required or passcode-invalid error
+  setPasscode(passcode) {
+    this.passcode = passcode;
+    this.sendJoin();
+  }
+
+  setHost(peerId) {
+    this.hostPeerId = peerId;
+    this.isHost = !!this.peerId && peerId === this.peerId;
+    this.emit("host-change", peerId, this.isHost);
+  }
+
+  // ============ SIGNALING ============
+
+  // Send a signaling message if the socket is usable
+  signal(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendJoin() {
+    this.signal({
+      type: "join",
+      roomId: this.roomId,
+      // Lets the host (or whoever the role was handed to) skip the lobby
+      hostToken: this.hostToken,
+      // Kept so reconnects to a protected room don't ask again
+      passcode: this.passcode,
+      resumeToken: this.resumeToken,
+      displayName: this.displayName,
+    });
+  }
+
+  connect() {
+    if (
+      this.ws &&
+      (this.ws.readyState === WebSocket.OPEN ||
+        this.ws.readyState === WebSocket.CONNECTING)
+    ) {
+      return; // Already connected
+    }
+
+    const ws = new WebSocket(this.signalingUrl);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      clearTimeout(this.wsReconnectTimer);
+      this.wsReconnectTimer = null;
+
+      if (this.ownerToken) {
+        // Claim the room with the owner token the server gave us. Only the
+        // first time - after that we're a regular member.
+        this.signal({
+          type: "create-room",
+          roomId: this.roomId,
+          ownerToken: this.ownerToken,
+          displayName: this.displayName,
+        });
+        this.ownerToken = null;
+      } else {
+        this.sendJoin();
+      }
+    };
+
+    ws.onmessage = (event) => {
+      this.handleSignal(JSON.parse(event.data)).catch((error) => {
+        this.log.error("Error handling signal", error);
+      });
+    };
+
+    ws.onerror = () => {
+      this.emit("error", {
+        code: "connection-error",
+        message: "Connection error...",
+      });
+    };
+
+    ws.onclose = () => {
+      this.setState("reconnecting");
+      if (!this.wsReconnectTimer) {
+        this.wsReconnectTimer = setTimeout(() => {
+          this.wsReconnectTimer = null;
+          // A hidden page reconnects when it's shown again, see resume()
+          if (isPageVisible()) {
+            this.connect();
+          }
+        }, SIGNALING_RECONNECT_DELAY);
+      }
+    };
+  }
+
+  async handleSignal(data) {
+    this.log.debug("Received signal", { type: data.type, from: data.from });
+
+    if (data.type === "joined") {
+      this.peerId = data.peerId;
+      this.resumeToken = data.resumeToken;
+      // The name as the server cleaned it up
+      this.displayName = data.displayName || null;
+      this.setHost(data.hostPeerId);
+      // Needed before the first peer connection is made
+      if (data.ice) {
+        this.setIceServers(data.ice);
+      }
+      const displayNames = data.displayNames || {};
+
+      if (data.resumed) {
+        // Same seat and ID as before, so the media connections can stay.
+        // Drop anyone who left while we were away and recover the links
+        // that broke in the meantime; check-peer gets anyone we have no
+        // connection to yet talking to us.
+        Array.from(this.peers.keys())
+          .filter((peerId) => !data.peers.includes(peerId))
+          .forEach((peerId) => this.removePeer(peerId));
+        data.peers.forEach((peerId) => {
+          const peer = this.getPeer(peerId, displayNames[peerId]);
+          if (peer.pc && peer.pc.connectionState !== "connected") {
+            this.recoverConnection(peerId);
+          }
+        });
+        this.signal({ type: "check-peer" });
+        this.setState("joined", { resumed: true });
+        return;
+      }
+
+      // Rejoining gives everyone new IDs, so drop all old connections
+      Array.from(this.peers.keys()).forEach((peerId) =>
+        this.removePeer(peerId)
+      );
+      data.peers.forEach((peerId) =>
+        this.getPeer(peerId, displayNames[peerId])
+      );
+
+      // Tell the room straight away whether our mic and camera are on
+      this.sendMediaState();
+      if (this.isRecording) {
+        this.signal({ type: "recording-status", isRecording: true });
+      }
+      this.setState("joined", { resumed: false });
+
+      for (const peerId of data.peers) {
+        if (this.shouldOffer(peerId)) {
+          this.connectToPeer(peerId);
+        }
+      }
+    } else if (data.type === "peer-joined") {
+      this.getPeer(data.peerId, data.displayName);
+      if (this.shouldOffer(data.peerId)) {
+        this.connectToPeer(data.peerId);
+      }
+    } else if (data.type === "offer") {
+      this.emit("peer-state", data.from, "connecting");
+      await this.handleDescription(data.from, data.offer);
+    } else if (data.type === "answer") {
+      await this.handleDescription(data.from, data.answer);
+    } else if (data.type === "ice-candidate") {
+      await this.handleIceCandidate(data.from, data.candidate);
+    } else if (data.type === "restart") {
+      this.closePeerConnection(data.from);
+      this.emit("peer-state", data.from, "restarting");
+      // If it's our turn to offer, the restarting peer is waiting for us
+      setTimeout(() => {
+        if (this.peers.has(data.from) && this.shouldOffer(data.from)) {
+          this.connectToPeer(data.from);
+        }
+      }, 1000);
+    } else if (data.type === "check-peer") {
+      // Other peer is checking if we're still here - respond with ready if we are
+      this.signal({ type: "peer-ready" });
+      await this.connectIfIdle(data.from);
+    } else if (data.type === "peer-ready") {
+      // Peer confirmed they're ready - restart connection if needed
+      await this.connectIfIdle(data.from);
+    } else if (data.type === "peer-disconnected") {
+      this.removePeer(data.peerId);
+    } else if (data.type === "error") {
+      this.emit("error", {
+        code: data.code,
+        message: data.message || "An error occurred",
+        redirect: !!data.redirect,
+      });
+    } else if (data.type === "media-state") {
+      this.updatePeerMedia(data.from, data);
+    } else if (data.type === "recording-status") {
+      const peer = this.peers.get(data.from);
+      if (peer) {
+        peer.isRecording = data.isRecording;
+        this.emit("peer-recording", data.from, data.isRecording);
+      }
+    } else if (data.type === "waiting") {
+      this.setState("waiting");
+    } else if (data.type === "host-assigned") {
+      // Keep the grant so a reconnect puts us straight back in as host. The
+      // owner gets none and keeps using the owner token.
+      if (data.hostToken) {
+        this.hostToken = data.hostToken;
+      }
+      this.emit("host-assigned", data.hostToken || null);
+    } else if (data.type === "ice-servers") {
+      this.setIceServers(data);
+    } else if (data.type === "host-changed") {
+      this.setHost(data.peerId);
+    } else if (data.type === "knock") {
+      this.emit("knock", data.peerId, data.displayName || null);
+    } else if (data.type === "knock-cancelled") {
+      this.emit("knock-cancelled", data.peerId);
+    } else if (data.type === "kicked") {
+      this.teardown("kicked");
+    } else if (data.type === "chat") {
+      // Chat relayed by the server while the data channel isn't open
+      this.emit("chat", data.from, data.message);
+    }
+  }
+
+  // The server tells late joiners everyone's state, so this is also how
+  // we first hear it
+  sendMediaState() {
+    this.signal({
+      type: "media-state",
+      isMuted: this.isMuted,
+      isVideo: this.isVideo,
+      isSharing: !!this.screenStream,
+    });
+  }
+
+  // Only what actually changed comes out as events
+  updatePeerMedia(peerId, state) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    if (peer.isMuted !== state.isMuted) {
+      peer.isMuted = state.isMuted;
+      this.emit("peer-muted", peerId, state.isMuted);
+    }
+    if (peer.isVideo !== state.isVideo) {
+      peer.isVideo = state.isVideo;
+      this.emit("peer-video", peerId, state.isVideo);
+    }
+    if (peer.isSharing !== state.isSharing) {
+      peer.isSharing = state.isSharing;
+      this.emit("peer-sharing", peerId, state.isSharing);
+    }
+  }
+
+  // ============ RECOVERY ============
+
+  // Call when the page comes back after being hidden or the device slept;
+  // join() sets that up for browsers
+  resume() {
+    // Devices can go away while we're not looking
+    if (this.localStream) {
+      this.localStream.getTracks().forEach((track) => {
+        if (track.readyState === "ended") {
+          this.emit("track-ended", track);
+        }
+      });
+    }
+
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      this.connect();
+    }
+
+    for (const [peerId, peer] of this.peers) {
+      const state = peer.pc ? peer.pc.connectionState : "closed";
+      if (state === "closed") {
+        this.restartConnection(peerId);
+      } else if (state === "failed" || state === "disconnected") {
+        this.recoverConnection(peerId);
+      }
+    }
+
+    if (
+      this.peers.size === 0 &&
+      this.ws &&
+      this.ws.readyState === WebSocket.OPEN
+    ) {
+      // No peers known - check if there's someone waiting
+      this.signal({ type: "check-peer" });
+    }
+  }
+
+  recoverConnections() {
+    this.peers.forEach((peer, peerId) => this.recoverConnection(peerId));
+  }
+
+  // Get a broken connection back: first an ICE restart over the existing
+  // connection (media keeps flowing as soon as a new path is found), and only
+  // if that doesn't work in time, a full rebuild
+  recoverConnection(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || !peer.pc || peer.iceRestartTimeout || peer.reconnectTimeout) {
+      return; // Nothing to recover, or already on it
+    }
+
+    // No signaling right now - the resumed join kicks this off again
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    this.emit("peer-state", peerId, "recovering");
+    this.restartIce(peerId);
+
+    peer.iceRestartTimeout = setTimeout(() => {
+      peer.iceRestartTimeout = null;
+      if (peer.pc && peer.pc.connectionState === "connected") return;
+
+      this.emit("peer-state", peerId, "rebuilding");
+      this.scheduleReconnect(peerId);
+    }, ICE_RESTART_TIMEOUT);
+  }
+
+  // Renegotiate the existing connection with fresh ICE credentials. The offer
+  // goes out through negotiationneeded, and either side may start it.
+  restartIce(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || !peer.pc || peer.pc.signalingState === "closed") return;
+
+    this.log.info("Restarting ICE", { peerId: peerId });
+    peer.pc.restartIce();
+  }
+
+  scheduleReconnect(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.reconnectTimeout) return; // Already scheduled
+
+    if (peer.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      this.emit("peer-state", peerId, "gave-up");
+      return;
+    }
+
+    peer.reconnectAttempts++;
+    const delay = Math.min(1000 * Math.pow(2, peer.reconnectAttempts), 10000); // Exponential backoff
+
+    peer.reconnectTimeout = setTimeout(() => {
+      peer.reconnectTimeout = null;
+      this.restartConnection(peerId);
+    }, delay);
+  }
+
+  // Rebuild the connection with one peer from scratch
+  async restartConnection(peerId) {
+    this.closePeerConnection(peerId);
+
+    // Notify the other peer we're restarting
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.signal({ type: "restart", target: peerId });
+
+      // Wait a bit then create new offer if it's our turn to offer
+      setTimeout(() => {
+        if (
+          this.peers.has(peerId) &&
+          this.shouldOffer(peerId) &&
+          this.ws &&
+          this.ws.readyState === WebSocket.OPEN
+        ) {
+          this.connectToPeer(peerId);
+        }
+      }, 1000);
+    }
+  }
+
+  // ============ PEER CONNECTIONS ============
+
+  // Get (or create) the bookkeeping entry for a remote peer. The name only
+  // comes with the messages that introduce them.
+  getPeer(peerId, displayName) {
+    if (!this.peers.has(peerId)) {
+      this.peers.set(peerId, {
+        pc: null,
+        remoteStream: new MediaStream(),
+        displayName: displayName || null,
+        isMuted: false,
+        isVideo: true,
+        isSharing: false,
+        isRecording: false,
+        reconnectAttempts: 0,
+        reconnectTimeout: null,
+        iceRestartTimeout: null,
+        // Perfect negotiation state, see handleDescription
+        makingOffer: false,
+        ignoreOffer: false,
+        pendingCandidates: [],
+      });
+      this.emit("peer-joined", peerId);
+    }
+    return this.peers.get(peerId);
+  }
+
+  // Exactly one side of each pair makes the offer, decided by comparing IDs
+  shouldOffer(peerId) {
+    return this.peerId > peerId;
+  }
+
+  // Perfect negotiation: the side with the lower peer ID is "polite" and backs
+  // down when both sides send an offer at once; the other side ignores the
+  // colliding offer and carries on with its own
+  isPolite(peerId) {
+    return !this.shouldOffer(peerId);
+  }
+
+  // Build a fresh RTCPeerConnection for one remote peer
+  createPeerConnection(peerId) {
+    const peer = this.getPeer(peerId);
+    if (peer.pc) {
+      peer.pc.close();
+    }
+
+    const pc = new RTCPeerConnection(this.servers);
+    peer.pc = pc;
+    peer.makingOffer = false;
+    peer.ignoreOffer = false;
+    peer.pendingCandidates = [];
+    peer.remoteStream = new MediaStream();
+
+    this.setupPeerConnectionListeners(peerId, pc);
+
+    // Negotiated channels have fixed IDs, so both sides open the same ones no
+    // matter who ends up sending the offer
+    this.emit(
+      "data-channel",
+      peerId,
+      pc.createDataChannel("chat", { negotiated: true, id: 0 })
+    );
+    this.emit(
+      "data-channel",
+      peerId,
+      pc.createDataChannel("files", { negotiated: true, id: 1 })
+    );
+
+    pc.ontrack = (event) => {
+      event.streams[0].getTracks().forEach((track) => {
+        peer.remoteStream.addTrack(track);
+        this.emit("remote-track", peerId, track, peer.remoteStream);
+      });
+    };
+
+    // Any change that needs a new offer (first connection, added tracks, ICE
+    // restart) ends up here, on either side
+    pc.onnegotiationneeded = async () => {
+      try {
+        peer.makingOffer = true;
+        await pc.setLocalDescription();
+        this.signal({
+          type: "offer",
+          target: peerId,
+          offer: pc.localDescription,
+        });
+      } catch (error) {
+        this.log.error("Error creating offer", error);
+      } finally {
+        peer.makingOffer = false;
+      }
+    };
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.logIceCandidate(event.candidate);
+        this.signal({
+          type: "ice-candidate",
+          target: peerId,
+          candidate: event.candidate,
+        });
+      } else {
+        this.log.debug("ICE gathering complete", { peerId: peerId });
+      }
+    };
+
+    return pc;
+  }
+
+  setupPeerConnectionListeners(peerId, pc) {
+    pc.onconnectionstatechange = () => {
+      const peer = this.peers.get(peerId);
+      // Ignore events from connections we've already replaced
+      if (!peer || peer.pc !== pc) return;
+
+      switch (pc.connectionState) {
+        case "connected":
+          peer.reconnectAttempts = 0;
+          if (peer.iceRestartTimeout) {
+            clearTimeout(peer.iceRestartTimeout);
+            peer.iceRestartTimeout = null;
+          }
+          break;
+        case "disconnected":
+        case "failed":
+          this.recoverConnection(peerId);
+          break;
+      }
+      this.emit("peer-state", peerId, pc.connectionState);
+    };
+  }
+
+  // Send our camera/mic (or screen) over a connection
+  addLocalTracks(pc) {
+    if (!this.localStream) return; // Joined without media
+
+    this.localStream.getTracks().forEach((track) => {
+      // While sharing, new peers get the screen instead of the camera
+      const outgoing =
+        track.kind === "video" ? this.outgoingVideoTrack() : track;
+      const sender = pc.addTrack(outgoing, this.localStream);
+
+      if (track.kind === "video") {
+        const parameters = sender.getParameters();
+        if (!parameters.encodings) {
+          parameters.encodings = [{}];
+        }
+        parameters.encodings[0].maxBitrate = MAX_VIDEO_BITRATE;
+        sender
+          .setParameters(parameters)
+          .catch((e) => this.log.error("Error setting parameters", e));
+      }
+    });
+  }
+
+  // host = local network, srflx = found via STUN, relay = through TURN.
+  // Addresses stay out of the log, since it may end up in a problem report.
+  logIceCandidate(candidate) {
+    this.log.debug("Gathered ICE candidate", {
+      type: candidate.type,
+      protocol: candidate.protocol,
+      port: candidate.port,
+    });
+  }
+
+  // Open a connection to a peer. Adding the tracks fires negotiationneeded,
+  // which sends the offer.
+  connectToPeer(peerId) {
+    const pc = this.createPeerConnection(peerId);
+    this.addLocalTracks(pc);
+  }
+
+  // Offer to a peer we know about but aren't connected to
+  async connectIfIdle(peerId) {
+    if (!peerId) return;
+    const peer = this.getPeer(peerId);
+    if (peer.pc && peer.pc.connectionState === "connected") return;
+
+    // A connection that was up once is worth an ICE restart before a rebuild
+    if (peer.pc && peer.pc.remoteDescription) {
+      this.recoverConnection(peerId);
+    } else if (this.shouldOffer(peerId)) {
+      this.connectToPeer(peerId);
+    }
+  }
+
+  // An offer or answer from a peer, on a new or an existing connection
+  async handleDescription(peerId, description) {
+    const peer = this.getPeer(peerId);
+    let pc = peer.pc;
+
+    // First contact: set the offer before adding our tracks, so they reuse the
+    // offered transceivers instead of forcing a second round of negotiation
+    if (!pc) {
+      if (description.type !== "offer") return;
+      pc = this.createPeerConnection(peerId);
+      try {
+        await pc.setRemoteDescription(description);
+        this.addLocalTracks(pc);
+        await this.answerOffer(peerId, pc);
+      } catch (error) {
+        // Don't leave a half-built connection behind; the next offer from
+        // them starts over
+        this.log.error("Error answering offer", error);
+        if (peer.pc === pc) {
+          this.closePeerConnection(peerId);
+        }
+      }
+      return;
+    }
+
+    const offerCollision =
+      description.type === "offer" &&
+      (peer.makingOffer || pc.signalingState !== "stable");
+
+    peer.ignoreOffer = !this.isPolite(peerId) && offerCollision;
+    if (peer.ignoreOffer) {
+      this.log.info("Ignoring colliding offer", { peerId: peerId });
+      return;
+    }
+
+    try {
+      // When polite, this rolls back our own pending offer automatically
+      await pc.setRemoteDescription(description);
+    } catch (error) {
+      // The other side rebuilt its connection without us hearing about it
+      this.log.error("Error setting remote description", error);
+      if (description.type === "offer") {
+        this.closePeerConnection(peerId);
+        await this.handleDescription(peerId, description);
+      }
+      return;
+    }
+
+    if (description.type === "offer") {
+      await this.answerOffer(peerId, pc);
+    } else {
+      await this.addPendingCandidates(peer, pc);
+    }
+  }
+
+  async answerOffer(peerId, pc) {
+    const peer = this.peers.get(peerId);
+    await this.addPendingCandidates(peer, pc);
+    await pc.setLocalDescription();
+
+    this.signal({
+      type: "answer",
+      target: peerId,
+      answer: pc.localDescription,
+    });
+  }
+
+  async handleIceCandidate(peerId, candidate) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    // Candidates can overtake the description they belong to - hold on to
+    // them until it's set
+    if (!peer.pc || !peer.pc.remoteDescription) {
+      peer.pendingCandidates.push(candidate);
+      return;
+    }
+
+    try {
+      await peer.pc.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!peer.ignoreOffer) {
+        this.log.error("Error adding ICE candidate", error);
+      }
+    }
+  }
+
+  async addPendingCandidates(peer, pc) {
+    const candidates = peer.pendingCandidates;
+    peer.pendingCandidates = [];
+    for (const candidate of candidates) {
+      try {
+        await pc.addIceCandidate(candidate);
+      } catch (error) {
+        // Held candidates may belong to an offer we've since replaced
+        this.log.debug("Dropped held ICE candidate", {
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  // Close one peer's connection but keep its bookkeeping
+  closePeerConnection(peerId) {
+    const peer = this.peers.get(peerId);
+    if (peer && peer.pc) {
+      peer.pc.close();
+      peer.pc = null;
+    }
+    // Any ICE restart in flight was for the connection we just closed
+    if (peer && peer.iceRestartTimeout) {
+      clearTimeout(peer.iceRestartTimeout);
+      peer.iceRestartTimeout = null;
+    }
+  }
+
+  // Forget a peer entirely (they left the room)
+  removePeer(peerId) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    if (peer.reconnectTimeout) {
+      clearTimeout(peer.reconnectTimeout);
+    }
+    this.closePeerConnection(peerId);
+    this.peers.delete(peerId);
+    this.emit("peer-left", peerId);
+  }
+}
+
+function defaultSignalingUrl() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.host}`;
+}
+
+function isPageVisible() {
+  return typeof document === "undefined" || !document.hidden;
+}
+
+// For apps that bundle their scripts instead of loading this one directly
+if (typeof module !== "undefined") {
+  module.exports = { CallClient };
+}
@@ -12,10 +12,9 @@ window.addEventListener("DOMContentLoaded", () => {
   if (typeof roomId !== "undefined" && roomId) {
     document.getElementById("roomCodeDisplay").textContent = roomId;
   }
-  if (sessionStorage.getItem("micOn") === "false") {
-    micIcnDivElem.classList.remove("hide");
-  } else if (sessionStorage.getItem("micOn") === "true") {
-    micIcnDivElem.classList.add("hide");
+  // Screen sharing isn't available on most mobile browsers
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    document.getElementById("shareBtn").classList.add("hide");
   }
 });
 
@@ -52,19 +51,21 @@ function swapVideos() {
   // Swap user state
   mainUser = mainUser === "you" ? "them" : "you";
 
-  // Swap the label and muted state
-  pipLabel.textContent = pipLabel.textContent === "You" ? "Them" : "You";
+  // Swap the label
+  pipLabel.textContent = mainUser === "you" ? spotlightLabel() : "You";
 
-  // Toggle muted - your video should always be muted
-  mainVideo.muted = mainUser !== "you";
-  pipVideo.muted = mainUser === "you";
+  // Both stay muted - remote audio plays from the participant tiles
+  mainVideo.muted = true;
+  pipVideo.muted = true;
+  updateMainVideoFit();
+  updateRemoteAvatar();
 
   if (mainUser === "you") {
     micIcnDivElem.classList.add("main");
     userMicIndicElem.innerHTML =
       '<span translate="no" class="micOffIcn material-symbols-outlined">mic_off</span>';
     userMicIndicElem.classList.add("main");
-    if (isMuted) {
+    if (call.isMuted) {
       setTimeout(() => {
         micIcnDivElem.innerHTML =
           '<span class="micOffIcn material-symbols-outlined"> mic_off </span> <p>You are muted!<p>';
@@ -83,107 +84,364 @@ function swapVideos() {
     micIcnDivElem.style.gridTemplateColumns = "repeat(1, auto)";
   }
 }
-// Toggle mute
-async function toggleMute() {
-  // Update the global variable in main.js
-  window.isMuted = isMuted;
-  const btn = document.getElementById("muteBtn");
-  if (sessionStorage.getItem("micOn") === "false") {
-    sessionStorage.setItem("micOn", "true");
-    isMuted = false;
-    btn.innerHTML = '<span class="material-symbols-outlined">mic</span>';
-    micIcnDivElem.classList.add("hide");
-  } else if (sessionStorage.getItem("micOn") === "true") {
-    sessionStorage.setItem("micOn", "false");
-    isMuted = true;
-    btn.innerHTML = '<span class="material-symbols-outlined">mic_off</span>';
-    micIcnDivElem.classList.remove("hide");
-  }
-
-  // 🆕 Send mute status to other user
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(
-      JSON.stringify({
-        type: "mute-status",
-        isMuted: isMuted,
-      })
+
+// ============ PARTICIPANT TILES ============
+
+function spotlightLabel() {
+  return spotlightPeerId ? participantLabel(spotlightPeerId) : "Them";
+}
+
+// Whichever of the two big video elements currently shows the remote side
+function remoteVideoElem() {
+  return document.getElementById(
+    mainUser === "you" ? "pip-video" : "main-video"
+  );
+}
+
+function peerTileElem(peerId) {
+  return document.querySelector(`.peer-tile[data-peer-id="${peerId}"]`);
+}
+
+// Add a tile for a new remote participant
+function addPeerTile(peerId) {
+  const tile = document.createElement("div");
+  tile.className = "peer-tile";
+  tile.dataset.peerId = peerId;
+  tile.innerHTML = `
+    <video autoplay playsinline></video>
+    <div class="avatar hide"><span class="avatar-initials"></span></div>
+    <div class="peer-label"></div>
+    <span translate="no" class="peer-mic material-symbols-outlined hide">mic_off</span>
+    <button class="peer-kick" title="Remove from call">
+      <span translate="no" class="material-symbols-outlined">person_remove</span>
+    </button>
+  `;
+  tile.querySelector(".peer-label").textContent = participantLabel(peerId);
+  tile.querySelector(".avatar-initials").textContent = initials(
+    participantLabel(peerId)
+  );
+  tile.addEventListener("click", () => setSpotlight(peerId));
+  tile.querySelector(".peer-kick").addEventListener("click", (e) => {
+    e.stopPropagation();
+    kickPeer(peerId);
+  });
+
+  document.getElementById("peer-tiles").appendChild(tile);
+  // Tiles play the peer's audio, so they follow the chosen speaker
+  applySpeaker(tile.querySelector("video"));
+  updatePeerStream(peerId);
+  updatePeerAvatar(peerId);
+  refreshPeerTiles();
+}
+
+function removePeerTile(peerId) {
+  const tile = peerTileElem(peerId);
+  if (tile) {
+    tile.remove();
+  }
+  refreshPeerTiles();
+}
+
+// Only show the tile strip when there is more than one remote participant
+// (the host always sees it, since that's where the remove buttons live)
+function refreshPeerTiles() {
+  const strip = document.getElementById("peer-tiles");
+  strip.classList.toggle("hide", call.peers.size < (call.isHost ? 1 : 2));
+  strip.querySelectorAll(".peer-tile").forEach((tile) => {
+    tile.classList.toggle("active", tile.dataset.peerId === spotlightPeerId);
+  });
+}
+
+// Point a peer's tile (and the big video, if spotlighted) at its current stream
+function updatePeerStream(peerId) {
+  const peer = call.peers.get(peerId);
+  const tile = peerTileElem(peerId);
+  if (!peer || !tile) return;
+
+  // The tile video is the one that plays the participant's audio
+  const tileVideo = tile.querySelector("video");
+  tileVideo.srcObject = peer.remoteStream;
+  tileVideo.play().catch((err) => log.warn("Tile video play failed", err));
+
+  if (spotlightPeerId === peerId) {
+    const video = remoteVideoElem();
+    video.srcObject = peer.remoteStream;
+    video.play().catch((err) => log.warn("Main video play failed", err));
+  }
+}
+
+// Whichever of the two big video elements currently shows our own camera
+function localVideoElem() {
+  return document.getElementById(
+    mainUser === "you" ? "main-video" : "pip-video"
+  );
+}
+
+// Show our own stream (camera or shared screen) in the local video element
+function showLocalPreview(stream) {
+  const video = localVideoElem();
+  video.srcObject = stream;
+  video.play().catch(() => {});
+}
+
+// Spotlight a participant and make sure they're in the big video, not the PIP
+function showPeerInMain(peerId) {
+  setSpotlight(peerId);
+  if (mainUser === "you") {
+    swapVideos();
+  }
+}
+
+// Show a participant in the big video
+function setSpotlight(peerId) {
+  spotlightPeerId = peerId;
+  const peer = peerId ? call.peers.get(peerId) : null;
+
+  const video = remoteVideoElem();
+  video.srcObject = peer ? peer.remoteStream : null;
+  if (peer) {
+    video.play().catch((err) => log.warn("Main video play failed", err));
+  }
+
+  if (mainUser === "you") {
+    document.getElementById("pip-label").textContent = spotlightLabel();
+  }
+
+  refreshPeerTiles();
+  updateRemoteMicIndicator();
+  updateMainVideoFit();
+  updateRemoteAvatar();
+}
+
+// Mark a participant's tile while they present, and fit shared screens
+// instead of cropping them
+function updatePeerShareIndicator(peerId) {
+  const peer = call.peers.get(peerId);
+  const tile = peerTileElem(peerId);
+  if (peer && tile) {
+    tile.classList.toggle("sharing", peer.isSharing);
+  }
+  updateMainVideoFit();
+  // A shared screen shows even with the camera off
+  updatePeerAvatar(peerId);
+}
+
+function updateMainVideoFit() {
+  const peer = spotlightPeerId ? call.peers.get(spotlightPeerId) : null;
+  document
+    .getElementById("main-video")
+    .classList.toggle(
+      "contain",
+      mainUser === "them" && !!peer && peer.isSharing
     );
+}
+
+function initials(name) {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => Array.from(word)[0].toUpperCase())
+    .join("");
+}
+
+function showsVideo(peer) {
+  return peer.isVideo || peer.isSharing;
+}
+
+// Cover a participant's frozen or black video while their camera is off
+function updatePeerAvatar(peerId) {
+  const peer = call.peers.get(peerId);
+  const tile = peerTileElem(peerId);
+  if (peer && tile) {
+    tile.querySelector(".avatar").classList.toggle("hide", showsVideo(peer));
+  }
+  if (peerId === spotlightPeerId) {
+    updateRemoteAvatar();
   }
+}
 
-  if (window.localStream) {
-    const audioTracks = window.localStream.getAudioTracks();
-
-    // If unmuting and no audio track exists, request ONLY audio
-    if (!isMuted && audioTracks.length === 0) {
-      try {
-        const audioStream = await navigator.mediaDevices.getUserMedia({
-          audio: {
-            echoCancellation: true,
-            noiseSuppression: true,
-            autoGainControl: true,
-          },
-        });
-
-        const newAudioTrack = audioStream.getAudioTracks()[0];
-        window.localStream.addTrack(newAudioTrack);
-
-        // Update peer connection if exists
-        await updateAudioPeerTracks();
-      } catch (error) {
-        console.error("Failed to get audio:", error);
-      }
-      return;
-    }
+// Likewise for whichever big video shows the spotlighted participant
+function updateRemoteAvatar() {
+  const peer = spotlightPeerId ? call.peers.get(spotlightPeerId) : null;
+  const avatar = document.getElementById(
+    mainUser === "you" ? "pip-avatar" : "main-avatar"
+  );
+  const other = document.getElementById(
+    mainUser === "you" ? "main-avatar" : "pip-avatar"
+  );
 
-    // Normal case: just enable/disable existing track
-    window.localStream.getAudioTracks().forEach((track) => {
-      track.enabled = !isMuted;
-    });
+  other.classList.add("hide");
+  avatar.classList.toggle("hide", !peer || showsVideo(peer));
+  if (peer) {
+    avatar.querySelector(".avatar-initials").textContent = initials(
+      participantLabel(spotlightPeerId)
+    );
+  }
+}
+
+// Update the mute icon on a participant's tile
+function updatePeerMuteIndicator(peerId) {
+  const peer = call.peers.get(peerId);
+  const tile = peerTileElem(peerId);
+  if (peer && tile) {
+    tile.querySelector(".peer-mic").classList.toggle("hide", !peer.isMuted);
+  }
+  if (peerId === spotlightPeerId) {
+    updateRemoteMicIndicator();
+  }
+}
+
+// The big "Muted" indicator follows whoever is in the spotlight
+function updateRemoteMicIndicator() {
+  const peer = spotlightPeerId ? call.peers.get(spotlightPeerId) : null;
+  if (peer && peer.isMuted) {
+    userMicIndicElem.classList.add("show");
+  } else {
+    userMicIndicElem.classList.remove("show");
+  }
+}
+
+// ============ HOST LOBBY ============
+
+// Show or hide the host-only controls
+function updateHostControls() {
+  document.body.classList.toggle("is-host", call.isHost);
+  if (!call.isHost) {
+    document.getElementById("knocks").innerHTML = "";
+  }
+  refreshPeerTiles();
+}
+
+// Someone is knocking - ask the host to admit or deny them
+function showKnock(peerId, displayName) {
+  if (document.querySelector(`.knock[data-peer-id="${peerId}"]`)) return;
+
+  const knock = document.createElement("div");
+  knock.className = "knock";
+  knock.dataset.peerId = peerId;
+  knock.innerHTML = `
+    <p class="knock-text"></p>
+    <div class="knock-actions">
+      <button class="knock-admit">Admit</button>
+      <button class="knock-deny">Deny</button>
+    </div>
+  `;
+  knock.querySelector(".knock-text").textContent = `${
+    displayName || "Someone"
+  } wants to join the call`;
+  knock.querySelector(".knock-admit").addEventListener("click", () => {
+    call.admit(peerId);
+    removeKnock(peerId);
+  });
+  knock.querySelector(".knock-deny").addEventListener("click", () => {
+    call.deny(peerId);
+    removeKnock(peerId);
+  });
+
+  document.getElementById("knocks").appendChild(knock);
+}
+
+function removeKnock(peerId) {
+  const knock = document.querySelector(`.knock[data-peer-id="${peerId}"]`);
+  if (knock) {
+    knock.remove();
+  }
+}
+
+function kickPeer(peerId) {
+  if (confirm(`Remove ${participantLabel(peerId)} from the call?`)) {
+    call.kick(peerId);
+  }
+}
+
+// Shown to a guest while the host decides whether to let them in
+function showLobbyWaiting() {
+  document.getElementById("lobby-wait").classList.add("show");
+}
+
+function hideLobbyWaiting() {
+  document.getElementById("lobby-wait").classList.remove("show");
+}
+
+// Embedded calls show this instead of going back to the start page
+function showCallEnded(message) {
+  hideLobbyWaiting();
+  document.getElementById("call-ended-message").textContent = message;
+  document.getElementById("call-ended").classList.add("show");
+}
+
+// ============ PASSCODE PROMPT ============
+
+function showPasscodePrompt(message, isLocked) {
+  const prompt = document.getElementById("passcode-prompt");
+  const input = document.getElementById("passcode-input");
+  document.getElementById("passcode-message").textContent = message;
+  input.disabled = !!isLocked;
+  prompt.querySelector("button[type=submit]").disabled = !!isLocked;
+  prompt.classList.add("show");
+  if (!isLocked) {
+    input.value = "";
+    input.focus();
   }
 }
 
-// Toggle video // change
+document.getElementById("passcode-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  const passcode = document.getElementById("passcode-input").value;
+  if (!passcode) return;
+
+  sessionStorage.setItem(`passcode:${roomId}`, passcode);
+  document.getElementById("passcode-prompt").classList.remove("show");
+  call.setPasscode(passcode);
+});
+
+// Toggle mute
+async function toggleMute() {
+  const muted = !call.isMuted;
+  sessionStorage.setItem("micOn", String(!muted));
+  updateMuteButton(muted);
+  await call.setMuted(muted);
+}
+
+function updateMuteButton(muted) {
+  document.getElementById("muteBtn").innerHTML = muted
+    ? '<span class="material-symbols-outlined">mic_off</span>'
+    : '<span class="material-symbols-outlined">mic</span>';
+  micIcnDivElem.classList.toggle("hide", !muted);
+}
+
+// Toggle video
 async function toggleVideo() {
-  const btn = document.getElementById("videoBtn");
-  if (sessionStorage.getItem("videoOn") === "true") {
-    sessionStorage.setItem("videoOn", "false");
-    isVideo = false;
-    btn.innerHTML =
-      '<span class="material-symbols-outlined">hangout_video_off</span>';
-  } else if (sessionStorage.getItem("videoOn") === "false") {
-    sessionStorage.setItem("videoOn", "true");
-    isVideo = true;
-    btn.innerHTML =
-      '<span class="material-symbols-outlined">hangout_video</span>';
-  }
-  if (window.localStream) {
-    const videoTracks = window.localStream.getVideoTracks();
-    if (isVideo && videoTracks.length === 0) {
-      // Get NEW video track
-      try {
-        const videoStream = await navigator.mediaDevices.getUserMedia({
-          video: {
-            width: { ideal: 1920, max: 1920 },
-            height: { ideal: 1080, max: 1080 },
-            frameRate: { ideal: 30, max: 60 },
-          },
-        });
-        const newVideoTrack = videoStream.getVideoTracks()[0];
-        window.localStream.addTrack(newVideoTrack);
-
-        // Update peer connection if exists
-        await updatePeerConnectionTracks();
-      } catch (error) {
-        console.error("Failed to get video:", error);
-      }
-      return;
-    }
-    window.localStream.getVideoTracks().forEach((track) => {
-      track.enabled = isVideo;
-    });
+  const enabled = !call.isVideo;
+  sessionStorage.setItem("videoOn", String(enabled));
+  updateVideoButton(enabled);
+  await call.setVideo(enabled);
+}
+
+function updateVideoButton(enabled) {
+  document.getElementById("videoBtn").innerHTML = enabled
+    ? '<span class="material-symbols-outlined">hangout_video</span>'
+    : '<span class="material-symbols-outlined">hangout_video_off</span>';
+}
+
+// Toggle screen sharing
+async function toggleScreenShare() {
+  if (call.screenStream) {
+    await call.stopScreenShare();
+  } else {
+    await call.startScreenShare();
   }
 }
 
+function updateShareButton() {
+  const btn = document.getElementById("shareBtn");
+  btn.classList.toggle("active", !!call.screenStream);
+  btn.innerHTML = call.screenStream
+    ? '<span class="material-symbols-outlined">stop_screen_share</span>'
+    : '<span class="material-symbols-outlined">screen_share</span>';
+}
+
 // End call
 function endCall() {
   // Show exit banner (small tooltip above exit button)
@@ -197,7 +455,7 @@ function endCall() {
     controlBtnElem.classList.add("change");
     exitDivElem.classList.add("show");
     lvBtnElem.addEventListener("click", () => {
-      window.location.href = "/";
+      exitCall();
       exitDivElem.classList.remove("show");
       return;
     });
@@ -0,0 +1,149 @@
+// chat.js - In-call text chat over RTCDataChannels, with the signaling
+// server as a fallback relay while a channel isn't open yet
+const chatPanelElem = document.getElementById("chat-panel");
+const chatMessagesElem = document.getElementById("chat-messages");
+const chatFormElem = document.getElementById("chat-form");
+const chatInputElem = document.getElementById("chat-input");
+const chatBadgeElem = document.getElementById("chat-badge");
+
+const CHAT_MAX_LENGTH = 1000;
+
+// IDs of messages already shown. Lives for the whole page session, so a
+// message that comes in again after a connection restart shows only once.
+const seenChatIds = new Set();
+const chatChannels = new Map(); // peerId -> the current connection's channel
+let unreadCount = 0;
+
+chatFormElem.addEventListener("submit", (e) => {
+  e.preventDefault();
+  sendChatMessage(chatInputElem.value);
+  chatInputElem.value = "";
+});
+
+call.on("data-channel", (peerId, channel) => {
+  if (channel.label === "chat") {
+    setupChatChannel(peerId, channel);
+  }
+});
+call.on("chat", (peerId, message) => receiveChatMessage(peerId, message));
+call.on("peer-left", (peerId) => chatChannels.delete(peerId));
+
+// One for every new peer connection
+function setupChatChannel(peerId, channel) {
+  chatChannels.set(peerId, channel);
+
+  channel.onmessage = (event) => {
+    try {
+      receiveChatMessage(peerId, JSON.parse(event.data));
+    } catch (error) {
+      log.warn("Bad chat message", error);
+    }
+  };
+
+  channel.onclose = () => {
+    if (chatChannels.get(peerId) === channel) {
+      chatChannels.delete(peerId);
+    }
+  };
+}
+
+function sendChatMessage(text) {
+  text = text.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!text) return;
+
+  const message = {
+    id: crypto.randomUUID(),
+    text: text,
+    ts: Date.now(),
+  };
+  seenChatIds.add(message.id);
+
+  call.peers.forEach((peer, peerId) => {
+    const channel = chatChannels.get(peerId);
+    if (channel && channel.readyState === "open") {
+      channel.send(JSON.stringify(message));
+    } else {
+      // Data channel not up yet - relay through the signaling server
+      call.signal({ type: "chat", target: peerId, message: message });
+    }
+  });
+
+  renderChatMessage({ ...message, author: "You", isOwn: true });
+}
+
+// Messages can arrive over the data channel and the relay, so drop repeats
+function receiveChatMessage(peerId, message) {
+  if (!message || typeof message.text !== "string" || !message.id) return;
+  if (seenChatIds.has(message.id)) return;
+  seenChatIds.add(message.id);
+
+  renderChatMessage({
+    id: message.id,
+    text: message.text.slice(0, CHAT_MAX_LENGTH),
+    ts: message.ts || Date.now(),
+    author: participantLabel(peerId),
+    isOwn: false,
+  });
+
+  if (!isChatOpen()) {
+    unreadCount++;
+    updateChatBadge();
+  }
+}
+
+function renderChatMessage(message) {
+  const item = document.createElement("div");
+  item.className = message.isOwn ? "chat-message own" : "chat-message";
+
+  const meta = document.createElement("div");
+  meta.className = "chat-meta";
+  const time = new Date(message.ts).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  meta.textContent = `${message.author} · ${time}`;
+
+  const body = document.createElement("div");
+  body.className = "chat-text";
+  appendLinkified(body, message.text);
+
+  item.appendChild(meta);
+  item.appendChild(body);
+  chatMessagesElem.appendChild(item);
+  chatMessagesElem.scrollTop = chatMessagesElem.scrollHeight;
+}
+
+// Turn http(s) URLs into links without ever injecting HTML
+function appendLinkified(parent, text) {
+  const urlPattern = /(https?:\/\/[^\s]+)/g;
+  text.split(urlPattern).forEach((part, i) => {
+    if (i % 2 === 1) {
+      const link = document.createElement("a");
+      link.href = part;
+      link.textContent = part;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      parent.appendChild(link);
+    } else if (part) {
+      parent.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+function isChatOpen() {
+  return chatPanelElem.classList.contains("show");
+}
+
+function toggleChat() {
+  chatPanelElem.classList.toggle("show");
+  if (isChatOpen()) {
+    unreadCount = 0;
+    updateChatBadge();
+    chatInputElem.focus();
+  }
+}
+
+function updateChatBadge() {
+  chatBadgeElem.textContent = unreadCount > 9 ? "9+" : String(unreadCount);
+  chatBadgeElem.classList.toggle("show", unreadCount > 0);
+}
@@ -0,0 +1,94 @@
+// client-log.js - Leveled logging for the call page. Everything logged is
+// also kept in memory, so a user with a bad call can send it to us.
+//
+// The console shows info and up; set localStorage.logLevel = "debug" to see
+// everything. Capture keeps every level regardless.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_CAPTURE_LIMIT = 500; // entries; the oldest go first
+const logEntries = [];
+
+const log = {
+  level: LOG_LEVELS[localStorage.getItem("logLevel")]
+    ? localStorage.getItem("logLevel")
+    : "info",
+  debug: (message, details) => writeLog("debug", message, details),
+  info: (message, details) => writeLog("info", message, details),
+  warn: (message, details) => writeLog("warn", message, details),
+  error: (message, details) => writeLog("error", message, details),
+};
+
+// Crashes are exactly what a report should include
+window.addEventListener("error", (event) => {
+  log.error("Uncaught error", event.error || event.message);
+});
+window.addEventListener("unhandledrejection", (event) => {
+  log.error("Unhandled rejection", event.reason);
+});
+
+function writeLog(level, message, details) {
+  logEntries.push({
+    time: new Date().toISOString(),
+    level: level,
+    msg: message,
+    details: captureDetails(details),
+  });
+  if (logEntries.length > LOG_CAPTURE_LIMIT) {
+    logEntries.shift();
+  }
+
+  if (LOG_LEVELS[level] < LOG_LEVELS[log.level]) return;
+  if (details === undefined) {
+    console[level](message);
+  } else {
+    console[level](message, details);
+  }
+}
+
+// A plain-data copy: Errors don't survive JSON.stringify, and live objects
+// (peer connections, streams) would change after the fact
+function captureDetails(details) {
+  if (details === undefined) return null;
+  try {
+    return JSON.parse(
+      JSON.stringify(details, (key, value) =>
+        value instanceof Error
+          ? { name: value.name, message: value.message }
+          : value
+      )
+    );
+  } catch {
+    return String(details);
+  }
+}
+
+// ============ PROBLEM REPORTS ============
+
+async function reportProblem() {
+  const note = prompt("What went wrong? (optional)");
+  if (note === null) return;
+
+  const button = document.getElementById("reportBtn");
+  button.disabled = true;
+  try {
+    const response = await fetch("/api/client-logs", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        roomId: roomId,
+        peerId: call.peerId,
+        note: note,
+        entries: logEntries,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP ${response.status}`);
+    }
+    log.info("Sent problem report", { reportId: result.reportId });
+    button.textContent = `Report sent (ID ${result.reportId})`;
+  } catch (error) {
+    log.error("Failed to send problem report", error);
+    button.textContent = "Couldn't send report - try again";
+    button.disabled = false;
+  }
+}
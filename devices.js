@@ -0,0 +1,274 @@
+// devices.js - Pre-join device check, the in-call settings panel, and
+// switching camera/mic/speaker without dropping the call
+const prejoinElem = document.getElementById("prejoin");
+const prejoinPreviewElem = document.getElementById("prejoin-preview");
+const settingsPanelElem = document.getElementById("settings-panel");
+const deviceSettingsElem = document.getElementById("device-settings");
+const cameraSelectElem = document.getElementById("camera-select");
+const micSelectElem = document.getElementById("mic-select");
+const speakerSelectElem = document.getElementById("speaker-select");
+const micMeterElem = document.getElementById("mic-meter-fill");
+
+// Safari and most mobile browsers can't pick the audio output
+const canPickSpeaker = "setSinkId" in HTMLMediaElement.prototype;
+
+let micMeter = null;
+let meterFrame = null;
+let isRecoveringTracks = false;
+
+cameraSelectElem.addEventListener("change", () => {
+  switchDevice("video", cameraSelectElem.value);
+});
+micSelectElem.addEventListener("change", () => {
+  switchDevice("audio", micSelectElem.value);
+});
+speakerSelectElem.addEventListener("change", () => {
+  switchSpeaker(speakerSelectElem.value);
+});
+
+// The device behind a camera/mic track went away
+call.on("track-ended", () => recoverLocalTracks());
+// Muting can also come from the main controls or an embedding page
+call.on("mute-change", updatePrejoinToggles);
+call.on("video-change", updatePrejoinToggles);
+
+// Headset plugged in or out, webcam attached, etc.
+if (navigator.mediaDevices) {
+  navigator.mediaDevices.addEventListener("devicechange", async () => {
+    try {
+      await refreshDeviceLists();
+    } catch (error) {
+      log.error("Failed to list devices", error);
+      errText.innerText = "Couldn't update the device list";
+    }
+    await recoverLocalTracks();
+  });
+}
+
+// ============ PRE-JOIN ============
+
+// Called by init() once the camera and mic are up
+async function showPrejoin() {
+  prejoinPreviewElem.srcObject = call.localStream;
+  prejoinElem.querySelector(".prejoin-devices").appendChild(deviceSettingsElem);
+  prejoinElem.classList.add("show");
+  updatePrejoinToggles();
+
+  await refreshDeviceLists();
+  startMicMeter();
+}
+
+function joinCall() {
+  prejoinElem.classList.remove("show");
+  prejoinPreviewElem.srcObject = null;
+  stopMicMeter();
+  call.join();
+}
+
+function updatePrejoinToggles() {
+  document.getElementById("prejoin-mic").innerHTML = call.isMuted
+    ? '<span class="material-symbols-outlined">mic_off</span>'
+    : '<span class="material-symbols-outlined">mic</span>';
+  document.getElementById("prejoin-camera").innerHTML = call.isVideo
+    ? '<span class="material-symbols-outlined">hangout_video</span>'
+    : '<span class="material-symbols-outlined">hangout_video_off</span>';
+}
+
+// ============ SETTINGS PANEL ============
+
+// The same device pickers move between the pre-join screen and this panel
+function toggleSettings() {
+  settingsPanelElem.classList.toggle("show");
+
+  if (settingsPanelElem.classList.contains("show")) {
+    settingsPanelElem
+      .querySelector(".settings-body")
+      .prepend(deviceSettingsElem);
+    refreshDeviceLists();
+    startMicMeter();
+  } else {
+    stopMicMeter();
+  }
+}
+
+// ============ DEVICE LISTS ============
+
+// Device labels are only filled in once we have camera/mic permission,
+// which init() has already asked for by the time these are shown
+async function refreshDeviceLists() {
+  if (!navigator.mediaDevices || !call.localStream) return;
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+
+  fillDeviceSelect(
+    cameraSelectElem,
+    devices.filter((device) => device.kind === "videoinput"),
+    currentDeviceId("video")
+  );
+  fillDeviceSelect(
+    micSelectElem,
+    devices.filter((device) => device.kind === "audioinput"),
+    currentDeviceId("audio")
+  );
+
+  document
+    .getElementById("speaker-field")
+    .classList.toggle("hide", !canPickSpeaker);
+  if (canPickSpeaker) {
+    fillDeviceSelect(
+      speakerSelectElem,
+      devices.filter((device) => device.kind === "audiooutput"),
+      localStorage.getItem("speakerId")
+    );
+  }
+}
+
+function fillDeviceSelect(select, devices, selectedId) {
+  select.innerHTML = "";
+  devices.forEach((device, i) => {
+    const option = document.createElement("option");
+    option.value = device.deviceId;
+    option.textContent = device.label || `Device ${i + 1}`;
+    select.appendChild(option);
+  });
+
+  if (devices.some((device) => device.deviceId === selectedId)) {
+    select.value = selectedId;
+  }
+}
+
+function localTrack(kind) {
+  return kind === "video"
+    ? call.localStream.getVideoTracks()[0]
+    : call.localStream.getAudioTracks()[0];
+}
+
+// The device a live track is actually coming from
+function currentDeviceId(kind) {
+  const track = localTrack(kind);
+  return track ? track.getSettings().deviceId : null;
+}
+
+// ============ SWITCHING ============
+
+// Move the camera or mic to another device without dropping the call.
+// Without a deviceId the remembered (or default) device is used.
+async function switchDevice(kind, deviceId) {
+  try {
+    const track = await openDevice(kind, deviceId);
+    await call.replaceLocalTrack(track);
+
+    if (kind === "audio" && meterFrame) {
+      startMicMeter();
+    }
+
+    if (deviceId) {
+      localStorage.setItem(kind === "video" ? "cameraId" : "micId", deviceId);
+    }
+  } catch (error) {
+    log.error("Failed to switch device", { kind: kind, error: error });
+    errText.innerText =
+      kind === "video"
+        ? "Couldn't switch camera"
+        : "Couldn't switch microphone";
+  }
+
+  await refreshDeviceLists();
+}
+
+// Phones often can't open two cameras at once - if that's what went wrong,
+// let go of the current device and try again
+async function openDevice(kind, deviceId) {
+  const constraints =
+    kind === "video"
+      ? { video: videoConstraints(deviceId) }
+      : { audio: audioConstraints(deviceId) };
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    return stream.getTracks()[0];
+  } catch (error) {
+    const current = localTrack(kind);
+    if (error.name !== "NotReadableError" || !current) throw error;
+
+    current.stop();
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    return stream.getTracks()[0];
+  }
+}
+
+// Re-open the camera or mic if its device went away (headset unplugged,
+// camera grabbed by another app), falling back to the default device
+async function recoverLocalTracks() {
+  if (!call.localStream || isRecoveringTracks) return;
+  isRecoveringTracks = true;
+
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    for (const kind of ["audio", "video"]) {
+      const track = localTrack(kind);
+      if (!track) continue;
+
+      const deviceId = track.getSettings().deviceId;
+      const stillThere = devices.some(
+        (device) =>
+          device.kind === `${kind}input` && device.deviceId === deviceId
+      );
+      if (track.readyState === "ended" || !stillThere) {
+        log.info("Device went away, switching", { kind: kind });
+        await switchDevice(kind);
+      }
+    }
+  } catch (error) {
+    log.error("Failed to recover devices", error);
+    errText.innerText = "Lost a camera or microphone and couldn't replace it";
+  } finally {
+    isRecoveringTracks = false;
+  }
+}
+
+function switchSpeaker(deviceId) {
+  localStorage.setItem("speakerId", deviceId);
+  document.querySelectorAll(".peer-tile video").forEach(applySpeaker);
+}
+
+// Route a video element's audio to the chosen speaker
+function applySpeaker(video) {
+  const deviceId = localStorage.getItem("speakerId");
+  if (!canPickSpeaker || !deviceId) return;
+
+  video.setSinkId(deviceId).catch((error) => {
+    log.error("Failed to set speaker", error);
+  });
+}
+
+// ============ MIC LEVEL METER ============
+
+function startMicMeter() {
+  stopMicMeter();
+
+  const track = localTrack("audio");
+  if (!track) return;
+  const meter = createLevelMeter(track);
+  if (!meter) return;
+  micMeter = meter;
+
+  const draw = () => {
+    // Scale speech levels to fill the bar
+    micMeterElem.style.width = `${Math.min(100, meter.level() * 400)}%`;
+    meterFrame = requestAnimationFrame(draw);
+  };
+  draw();
+}
+
+function stopMicMeter() {
+  if (meterFrame) {
+    cancelAnimationFrame(meterFrame);
+    meterFrame = null;
+  }
+  if (micMeter) {
+    micMeter.stop();
+    micMeter = null;
+  }
+  micMeterElem.style.width = "0%";
+}
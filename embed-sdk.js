@@ -0,0 +1,176 @@
+// embed-sdk.js - Put a Trenzet Vault call on your own page
+//
+//   <script src="https://vault.example.com/embed-sdk.js"></script>
+//   <div id="call" style="width: 800px; height: 600px"></div>
+//   <script>
+//     const call = TrenzetVault.embed({
+//       container: document.getElementById("call"),
+//       roomId: "abc123",
+//       controls: ["mute", "video", "leave"],
+//       displayName: "Dana",
+//     });
+//     call.on("joined", ({ peerId }) => console.log("In the call as", peerId));
+//     call.mute();
+//   </script>
+//
+// Your page's origin has to be listed in the server's EMBED_ORIGINS, or the
+// browser refuses to show the call.
+//
+// Commands: join, leave, mute, unmute, toggleMute, toggleVideo, destroy.
+// Events (each gets one data object):
+//   ready              - the call page is loaded and takes commands
+//   joined             - { roomId, peerId, displayName, isHost, peers,
+//                          resumed }
+//   left               - { reason: "left" | "kicked" }
+//   peer-connected     - { peerId, displayName }
+//   peer-disconnected  - { peerId }
+//   mute-status        - { local: true, isMuted } for us,
+//                        { local: false, peerId, isMuted } for others
+//   video-status       - { isVideo }
+//   error              - { code, message }
+
+// Loaded into other people's pages, so nothing leaks out but TrenzetVault
+(function () {
+  const MESSAGE_SOURCE = "trenzet-vault";
+
+  // The calls live wherever this script was loaded from
+  const scriptOrigin = document.currentScript
+    ? new URL(document.currentScript.src).origin
+    : window.location.origin;
+
+  class EmbeddedCall {
+    // options:
+    //   container   - element the call fills
+    //   roomId      - required
+    //   serverUrl   - defaults to where this script came from
+    //   controls    - control buttons to show: mute, video, share, chat,
+    //                 files, stats, settings, record, leave (default: all)
+    //   autoJoin    - skip the device check and join straight away
+    //   displayName - the name others see, instead of one remembered from
+    //                 the start page (the server trims it to 32 characters)
+    constructor(options) {
+      if (!options || !options.container || !options.roomId) {
+        throw new Error("TrenzetVault.embed needs a container and a roomId");
+      }
+      this.origin = new URL(options.serverUrl || scriptOrigin).origin;
+      this.ready = false;
+      this.queue = []; // commands sent before the call page was ready
+      this.handlers = new Map(); // event -> [handler]
+
+      const params = new URLSearchParams({
+        room: options.roomId,
+        embed: "1",
+        parentOrigin: window.location.origin,
+      });
+      if (options.controls) {
+        params.set("controls", options.controls.join(","));
+      }
+      if (options.autoJoin) {
+        params.set("autojoin", "1");
+      }
+      if (options.displayName) {
+        params.set("displayName", options.displayName);
+      }
+
+      this.iframe = document.createElement("iframe");
+      this.iframe.src = `${this.origin}/call.html?${params}`;
+      this.iframe.allow =
+        "camera; microphone; display-capture; autoplay; clipboard-write";
+      this.iframe.style.width = "100%";
+      this.iframe.style.height = "100%";
+      this.iframe.style.border = "0";
+      options.container.appendChild(this.iframe);
+
+      this.onMessage = (event) => this.handleMessage(event);
+      window.addEventListener("message", this.onMessage);
+    }
+
+    on(event, handler) {
+      if (!this.handlers.has(event)) {
+        this.handlers.set(event, []);
+      }
+      this.handlers.get(event).push(handler);
+      return this;
+    }
+
+    off(event, handler) {
+      const handlers = this.handlers.get(event);
+      if (handlers) {
+        this.handlers.set(
+          event,
+          handlers.filter((h) => h !== handler)
+        );
+      }
+      return this;
+    }
+
+    join() {
+      this.send("join");
+    }
+
+    leave() {
+      this.send("leave");
+    }
+
+    mute() {
+      this.send("mute");
+    }
+
+    unmute() {
+      this.send("unmute");
+    }
+
+    toggleMute() {
+      this.send("toggle-mute");
+    }
+
+    toggleVideo() {
+      this.send("toggle-video");
+    }
+
+    // Take the call off the page. Leave first to end it cleanly.
+    destroy() {
+      window.removeEventListener("message", this.onMessage);
+      this.iframe.remove();
+      this.handlers.clear();
+    }
+
+    send(command) {
+      if (!this.ready) {
+        this.queue.push(command);
+        return;
+      }
+      this.iframe.contentWindow.postMessage(
+        { source: MESSAGE_SOURCE, command: command },
+        this.origin
+      );
+    }
+
+    handleMessage(event) {
+      if (
+        event.source !== this.iframe.contentWindow ||
+        event.origin !== this.origin
+      ) {
+        return;
+      }
+      const message = event.data;
+      if (!message || message.source !== MESSAGE_SOURCE) return;
+
+      // A reload of the call page starts over
+      if (message.event === "ready") {
+        this.ready = true;
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach((command) => this.send(command));
+      }
+
+      (this.handlers.get(message.event) || []).slice().forEach((handler) => {
+        handler(message.data);
+      });
+    }
+  }
+
+  window.TrenzetVault = {
+    embed: (options) => new EmbeddedCall(options),
+  };
+})();
@@ -0,0 +1,155 @@
+// embed.js - Embed mode for call.html: a call running inside another site's
+// page, driven from there over postMessage (embed-sdk.js is the other end)
+//
+// call.html?room=ID&embed=1 drops the room-code chrome. Also:
+//   controls=mute,video,leave - the control buttons to show (default: all)
+//   autojoin=1                - skip the pre-join device check
+//   displayName=...           - our name in the call, instead of the one
+//                               remembered from the start page
+//   parentOrigin=https://...  - the embedding page. Commands are only taken
+//                               from it, and events only sent to it.
+//
+// Which sites may embed calls at all is up to the server (EMBED_ORIGINS).
+const EMBED_MESSAGE_SOURCE = "trenzet-vault";
+// Control names -> button IDs
+const EMBED_CONTROLS = {
+  mute: "muteBtn",
+  video: "videoBtn",
+  share: "shareBtn",
+  chat: "chatBtn",
+  files: "fileBtn",
+  stats: "statsBtn",
+  settings: "settingsBtn",
+  record: "recordBtn",
+  leave: "control-btn",
+};
+
+const embedParentOrigin = parseOrigin(urlParams.get("parentOrigin"));
+const embedAutoJoin = urlParams.get("autojoin") === "1";
+// A join that came in before the camera and mic were up; init() runs it
+let embedJoinPending = false;
+
+if (isEmbedded) {
+  document.body.classList.add("embed");
+  showEmbedControls(urlParams.get("controls"));
+
+  window.addEventListener("message", handleEmbedCommand);
+
+  call.on("state-change", (state, info) => {
+    if (state === "joined") {
+      postToEmbedder("joined", {
+        roomId: roomId,
+        peerId: call.peerId,
+        displayName: call.displayName,
+        isHost: call.isHost,
+        peers: Array.from(call.peers.keys()),
+        resumed: !!info.resumed,
+      });
+    } else if (state === "left" || state === "kicked") {
+      postToEmbedder("left", { reason: state });
+    }
+  });
+  call.on("peer-joined", (peerId) => {
+    postToEmbedder("peer-connected", {
+      peerId: peerId,
+      displayName: call.peers.get(peerId).displayName,
+    });
+  });
+  call.on("peer-left", (peerId) => {
+    postToEmbedder("peer-disconnected", { peerId: peerId });
+  });
+  call.on("mute-change", (isMuted) => {
+    postToEmbedder("mute-status", { local: true, isMuted: isMuted });
+  });
+  call.on("peer-muted", (peerId, isMuted) => {
+    postToEmbedder("mute-status", {
+      local: false,
+      peerId: peerId,
+      isMuted: isMuted,
+    });
+  });
+  call.on("video-change", (isVideo) => {
+    postToEmbedder("video-status", { isVideo: isVideo });
+  });
+  call.on("error", (error) => {
+    postToEmbedder("error", { code: error.code, message: error.message });
+  });
+
+  // Everything's wired up - commands sent from now on will be handled. A
+  // join waits for the camera and mic if they aren't up yet.
+  postToEmbedder("ready", {
+    roomId: roomId,
+    isMuted: call.isMuted,
+    isVideo: call.isVideo,
+  });
+}
+
+// Only a real origin ("https://portal.example.com") - never "*"
+function parseOrigin(value) {
+  if (!value) return null;
+  try {
+    const origin = new URL(value).origin;
+    return origin === value ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// Hide every control that wasn't asked for
+function showEmbedControls(list) {
+  if (!list) return;
+  const wanted = list.split(",").map((name) => name.trim());
+  Object.entries(EMBED_CONTROLS).forEach(([name, id]) => {
+    if (!wanted.includes(name)) {
+      document.getElementById(id).classList.add("hide");
+    }
+  });
+}
+
+function postToEmbedder(event, data) {
+  if (!isEmbedded || !embedParentOrigin) return;
+  window.parent.postMessage(
+    { source: EMBED_MESSAGE_SOURCE, event: event, data: data },
+    embedParentOrigin
+  );
+}
+
+function handleEmbedCommand(event) {
+  if (event.source !== window.parent || event.origin !== embedParentOrigin) {
+    return;
+  }
+  const message = event.data;
+  if (!message || message.source !== EMBED_MESSAGE_SOURCE) return;
+
+  switch (message.command) {
+    case "mute":
+      if (!call.isMuted) toggleMute();
+      break;
+    case "unmute":
+      if (call.isMuted) toggleMute();
+      break;
+    case "toggle-mute":
+      toggleMute();
+      break;
+    case "toggle-video":
+      toggleVideo();
+      break;
+    case "join":
+      if (call.state !== "idle") {
+        postToEmbedder("error", {
+          code: "cannot-join",
+          message: "Already in the call, or the call has ended",
+        });
+      } else if (call.localStream) {
+        joinCall();
+      } else {
+        embedJoinPending = true;
+      }
+      break;
+    case "leave":
+      exitCall();
+      break;
+    default:
+      log.warn("Unknown embed command", { command: message.command });
+  }
+}
@@ -0,0 +1,576 @@
+// file-transfer.js - Chunked peer-to-peer file transfer over RTCDataChannels
+//
+// Control messages are JSON strings; file data goes as binary chunks framed
+// with the transfer ID and byte offset, so transfers can run side by side and
+// pick up where they left off after a peer connection is rebuilt.
+const transfersElem = document.getElementById("transfers");
+const fileInputElem = document.getElementById("file-input");
+
+const FILE_CHUNK_SIZE = 16 * 1024; // Safe message size across browsers
+const FILE_MAX_SIZE = 100 * 1024 * 1024; // Whole file is hashed in memory
+const FILE_BUFFER_HIGH = 4 * 1024 * 1024; // Pause sending above this
+const FILE_BUFFER_LOW = 1024 * 1024; // Resume sending below this
+const FILE_ID_LENGTH = 36; // crypto.randomUUID()
+const FILE_HEADER_SIZE = FILE_ID_LENGTH + 8; // ID + float64 offset
+
+// Transfers outlive peer connections, so a rebuilt channel can resume them
+// id -> { id, peerId, direction, name, size, mime, sha256, file, chunks, bytes, state, elem }
+// state: preparing | offered | sending | receiving | verifying | done | declined
+//   | cancelled | failed
+const transfers = new Map();
+const fileChannels = new Map(); // peerId -> the current connection's channel
+
+fileInputElem.addEventListener("change", () => {
+  Array.from(fileInputElem.files).forEach(offerFile);
+  fileInputElem.value = "";
+});
+
+call.on("data-channel", (peerId, channel) => {
+  if (channel.label === "files") {
+    setupFileChannel(peerId, channel);
+  }
+});
+call.on("peer-left", (peerId) => {
+  fileChannels.delete(peerId);
+  failPeerTransfers(peerId);
+});
+
+function pickFiles() {
+  if (call.peers.size === 0) {
+    errText.innerText = "No one to send files to yet";
+    return;
+  }
+  fileInputElem.click();
+}
+
+// One for every new peer connection
+function setupFileChannel(peerId, channel) {
+  fileChannels.set(peerId, channel);
+
+  channel.binaryType = "arraybuffer";
+  channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW;
+
+  channel.onopen = () => {
+    resumeTransfers(peerId);
+  };
+
+  channel.onmessage = (event) => {
+    if (typeof event.data === "string") {
+      try {
+        handleFileControl(peerId, JSON.parse(event.data));
+      } catch (error) {
+        log.warn("Bad file control message", error);
+      }
+    } else {
+      handleFileChunk(peerId, event.data);
+    }
+  };
+
+  channel.onclose = () => {
+    if (fileChannels.get(peerId) === channel) {
+      fileChannels.delete(peerId);
+    }
+    // Anything mid-flight waits for the next channel to resume it
+    transfers.forEach((transfer) => {
+      if (
+        transfer.peerId === peerId &&
+        (transfer.state === "sending" || transfer.state === "receiving")
+      ) {
+        renderTransfer(transfer, "Connection lost - waiting to resume...");
+      }
+    });
+  };
+
+  if (channel.readyState === "open") {
+    resumeTransfers(peerId);
+  }
+}
+
+function openFileChannel(peerId) {
+  const channel = fileChannels.get(peerId);
+  return channel && channel.readyState === "open" ? channel : null;
+}
+
+function sendFileControl(peerId, message) {
+  const channel = openFileChannel(peerId);
+  if (!channel) return false;
+  channel.send(JSON.stringify(message));
+  return true;
+}
+
+// ============ SENDING ============
+
+async function offerFile(file) {
+  if (file.size > FILE_MAX_SIZE) {
+    errText.innerText = `${file.name} is too large (max ${formatBytes(
+      FILE_MAX_SIZE
+    )})`;
+    return;
+  }
+
+  // One transfer per participant, each with its own accept/decline. They're
+  // on screen while the file is hashed, so a failure has somewhere to show.
+  const outgoing = Array.from(call.peers.keys(), (peerId) => {
+    const transfer = {
+      id: crypto.randomUUID(),
+      peerId: peerId,
+      direction: "out",
+      name: file.name,
+      size: file.size,
+      mime: file.type || "application/octet-stream",
+      sha256: null,
+      file: file,
+      bytes: 0,
+      state: "preparing",
+      pump: 0,
+    };
+    transfers.set(transfer.id, transfer);
+    renderTransfer(transfer);
+    return transfer;
+  });
+
+  try {
+    const sha256 = toHex(
+      await crypto.subtle.digest("SHA-256", await file.arrayBuffer())
+    );
+    outgoing.forEach((transfer) => {
+      // Cancelled, or the participant left, while we were hashing
+      if (transfer.state !== "preparing") return;
+      transfer.sha256 = sha256;
+      transfer.state = "offered";
+      sendFileOffer(transfer);
+    });
+  } catch (error) {
+    log.error("Could not offer file", error);
+    outgoing.forEach((transfer) => {
+      if (transfer.state === "preparing" || transfer.state === "offered") {
+        failTransfer(transfer, "Could not read the file");
+      }
+    });
+  }
+}
+
+function sendFileOffer(transfer) {
+  const sent = sendFileControl(transfer.peerId, {
+    type: "file-offer",
+    id: transfer.id,
+    name: transfer.name,
+    size: transfer.size,
+    mime: transfer.mime,
+    sha256: transfer.sha256,
+  });
+  renderTransfer(
+    transfer,
+    sent ? "Waiting for them to accept..." : "Waiting for connection..."
+  );
+}
+
+// Stream chunks from the given offset, pausing whenever the channel backs up
+async function pumpTransfer(transfer, offset) {
+  // Starting a new pump (e.g. on resume) stops any older one
+  const pump = ++transfer.pump;
+  transfer.state = "sending";
+  transfer.bytes = offset;
+  renderTransfer(transfer);
+
+  while (transfer.bytes < transfer.size) {
+    const channel = openFileChannel(transfer.peerId);
+    if (!channel || transfer.pump !== pump || transfer.state !== "sending") {
+      return;
+    }
+
+    if (channel.bufferedAmount > FILE_BUFFER_HIGH) {
+      await waitForBufferLow(channel);
+      continue;
+    }
+
+    const end = Math.min(transfer.bytes + FILE_CHUNK_SIZE, transfer.size);
+    const data = await transfer.file.slice(transfer.bytes, end).arrayBuffer();
+    if (transfer.pump !== pump || channel.readyState !== "open") return;
+
+    channel.send(encodeChunk(transfer.id, transfer.bytes, data));
+    transfer.bytes = end;
+    renderTransfer(transfer);
+  }
+
+  renderTransfer(transfer, "Sent - waiting for verification...");
+}
+
+function waitForBufferLow(channel) {
+  return new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener("bufferedamountlow", done);
+      channel.removeEventListener("close", done);
+      resolve();
+    };
+    channel.addEventListener("bufferedamountlow", done);
+    channel.addEventListener("close", done);
+  });
+}
+
+// ============ RECEIVING ============
+
+function handleFileControl(peerId, message) {
+  const transfer = transfers.get(message.id);
+
+  switch (message.type) {
+    case "file-offer":
+      // Re-sent offers after a reconnect are already on screen
+      if (transfer) return;
+      receiveFileOffer(peerId, message);
+      break;
+
+    case "file-accept":
+    case "file-resume":
+      if (!transfer || transfer.peerId !== peerId) return;
+      if (transfer.direction !== "out") return;
+      if (transfer.state !== "offered" && transfer.state !== "sending") return;
+      pumpTransfer(
+        transfer,
+        Math.max(0, Math.min(message.offset || 0, transfer.size))
+      ).catch((error) => {
+        log.error("Could not send file", error);
+        if (transfer.state === "sending") {
+          failTransfer(transfer, "Could not read the file");
+        }
+      });
+      break;
+
+    case "file-decline":
+      if (!transfer || transfer.peerId !== peerId) return;
+      transfer.state = "declined";
+      renderTransfer(transfer);
+      break;
+
+    case "file-cancel":
+      if (!transfer || transfer.peerId !== peerId) return;
+      transfer.state = "cancelled";
+      transfer.chunks = null;
+      renderTransfer(transfer);
+      break;
+
+    case "file-failed":
+      if (!transfer || transfer.peerId !== peerId) return;
+      if (
+        ["done", "declined", "cancelled", "failed"].includes(transfer.state)
+      ) {
+        return;
+      }
+      transfer.state = "failed";
+      transfer.chunks = null;
+      renderTransfer(transfer, "Failed on their side");
+      break;
+
+    case "file-verified":
+      if (!transfer || transfer.peerId !== peerId) return;
+      transfer.state = message.ok ? "done" : "failed";
+      renderTransfer(
+        transfer,
+        message.ok ? "Delivered" : "Their copy failed verification"
+      );
+      break;
+  }
+}
+
+function receiveFileOffer(peerId, message) {
+  const size = Number(message.size);
+  if (
+    typeof message.id !== "string" ||
+    message.id.length !== FILE_ID_LENGTH ||
+    !Number.isFinite(size) ||
+    size < 0 ||
+    size > FILE_MAX_SIZE
+  ) {
+    return;
+  }
+
+  const transfer = {
+    id: message.id,
+    peerId: peerId,
+    direction: "in",
+    name: String(message.name || "file").slice(0, 255),
+    size: size,
+    mime: String(message.mime || "application/octet-stream"),
+    sha256: String(message.sha256 || ""),
+    chunks: [],
+    bytes: 0,
+    state: "offered",
+  };
+  transfers.set(transfer.id, transfer);
+  renderTransfer(transfer);
+}
+
+function acceptTransfer(id) {
+  const transfer = transfers.get(id);
+  if (!transfer || transfer.state !== "offered") return;
+  transfer.state = "receiving";
+  sendFileControl(transfer.peerId, { type: "file-accept", id: id, offset: 0 });
+  renderTransfer(transfer);
+  // Empty files have no chunks to wait for
+  if (transfer.size === 0) {
+    verifyTransfer(transfer);
+  }
+}
+
+function declineTransfer(id) {
+  const transfer = transfers.get(id);
+  if (!transfer || transfer.state !== "offered") return;
+  transfer.state = "declined";
+  sendFileControl(transfer.peerId, { type: "file-decline", id: id });
+  renderTransfer(transfer);
+}
+
+function cancelTransfer(id) {
+  const transfer = transfers.get(id);
+  if (!transfer) return;
+  transfer.state = "cancelled";
+  transfer.chunks = null;
+  sendFileControl(transfer.peerId, { type: "file-cancel", id: id });
+  renderTransfer(transfer);
+}
+
+function handleFileChunk(peerId, buffer) {
+  if (buffer.byteLength < FILE_HEADER_SIZE) return;
+  const { id, offset, data } = decodeChunk(buffer);
+
+  const transfer = transfers.get(id);
+  if (
+    !transfer ||
+    transfer.peerId !== peerId ||
+    transfer.direction !== "in" ||
+    transfer.state !== "receiving"
+  ) {
+    return;
+  }
+
+  // The channel is ordered, so anything else is a leftover from before a resume
+  if (offset !== transfer.bytes) return;
+  if (transfer.bytes + data.byteLength > transfer.size) {
+    transfer.state = "failed";
+    renderTransfer(transfer, "Received more data than expected");
+    return;
+  }
+
+  transfer.chunks.push(data);
+  transfer.bytes += data.byteLength;
+  renderTransfer(transfer);
+
+  if (transfer.bytes === transfer.size) {
+    verifyTransfer(transfer);
+  }
+}
+
+// Check the received file against the sender's SHA-256 before offering it
+async function verifyTransfer(transfer) {
+  transfer.state = "verifying";
+  renderTransfer(transfer);
+
+  const blob = new Blob(transfer.chunks, { type: transfer.mime });
+  transfer.chunks = null;
+  let sha256;
+  try {
+    sha256 = toHex(
+      await crypto.subtle.digest("SHA-256", await blob.arrayBuffer())
+    );
+  } catch (error) {
+    log.error("Could not verify file", error);
+    if (transfer.state === "verifying") {
+      failTransfer(transfer, "Could not verify the file");
+    }
+    return;
+  }
+  // The participant left while we were hashing
+  if (transfer.state !== "verifying") return;
+  const ok = sha256 === transfer.sha256;
+
+  sendFileControl(transfer.peerId, {
+    type: "file-verified",
+    id: transfer.id,
+    ok: ok,
+  });
+
+  if (ok) {
+    transfer.state = "done";
+    transfer.url = URL.createObjectURL(blob);
+    renderTransfer(transfer);
+  } else {
+    transfer.state = "failed";
+    renderTransfer(transfer, "Verification failed - file discarded");
+  }
+}
+
+// ============ RESUMING ============
+
+// A fresh channel to this peer opened (first connect or after a rebuild)
+function resumeTransfers(peerId) {
+  transfers.forEach((transfer) => {
+    if (transfer.peerId !== peerId) return;
+
+    if (transfer.direction === "out" && transfer.state === "offered") {
+      sendFileOffer(transfer);
+    } else if (transfer.direction === "in" && transfer.state === "receiving") {
+      // Tell the sender how much we already have
+      sendFileControl(peerId, {
+        type: "file-resume",
+        id: transfer.id,
+        offset: transfer.bytes,
+      });
+      renderTransfer(transfer, "Resuming...");
+    }
+  });
+}
+
+// Something broke on our side - tell them, so they don't wait forever
+function failTransfer(transfer, statusText) {
+  transfer.state = "failed";
+  transfer.chunks = null;
+  sendFileControl(transfer.peerId, { type: "file-failed", id: transfer.id });
+  renderTransfer(transfer, statusText);
+}
+
+// The peer left the room for good
+function failPeerTransfers(peerId) {
+  transfers.forEach((transfer) => {
+    if (
+      transfer.peerId === peerId &&
+      ["preparing", "offered", "sending", "receiving", "verifying"].includes(
+        transfer.state
+      )
+    ) {
+      transfer.state = "failed";
+      transfer.chunks = null;
+      renderTransfer(transfer, "Participant left");
+    }
+  });
+}
+
+// ============ HELPERS ============
+
+function encodeChunk(id, offset, data) {
+  const buffer = new Uint8Array(FILE_HEADER_SIZE + data.byteLength);
+  buffer.set(new TextEncoder().encode(id), 0);
+  new DataView(buffer.buffer).setFloat64(FILE_ID_LENGTH, offset);
+  buffer.set(new Uint8Array(data), FILE_HEADER_SIZE);
+  return buffer.buffer;
+}
+
+function decodeChunk(buffer) {
+  return {
+    id: new TextDecoder().decode(new Uint8Array(buffer, 0, FILE_ID_LENGTH)),
+    offset: new DataView(buffer).getFloat64(FILE_ID_LENGTH),
+    data: buffer.slice(FILE_HEADER_SIZE),
+  };
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ============ UI ============
+
+function renderTransfer(transfer, statusText) {
+  if (!transfer.elem) {
+    transfer.elem = document.createElement("div");
+    transfer.elem.className = "transfer";
+    transfer.elem.innerHTML = `
+      <div class="transfer-name"></div>
+      <div class="transfer-status"></div>
+      <div class="transfer-bar"><div class="transfer-fill"></div></div>
+      <div class="transfer-actions"></div>
+    `;
+    transfersElem.appendChild(transfer.elem);
+  }
+
+  const who = participantLabel(transfer.peerId);
+  const percent =
+    transfer.size > 0
+      ? Math.floor((transfer.bytes / transfer.size) * 100)
+      : 100;
+
+  transfer.elem.querySelector(".transfer-name").textContent = `${
+    transfer.direction === "out" ? "To" : "From"
+  } ${who}: ${transfer.name} (${formatBytes(transfer.size)})`;
+  transfer.elem.querySelector(".transfer-fill").style.width = `${percent}%`;
+  transfer.elem.querySelector(".transfer-status").textContent =
+    statusText || defaultTransferStatus(transfer, percent);
+  transfer.elem.classList.toggle(
+    "finished",
+    ["done", "declined", "cancelled", "failed"].includes(transfer.state)
+  );
+
+  renderTransferActions(transfer);
+}
+
+function defaultTransferStatus(transfer, percent) {
+  switch (transfer.state) {
+    case "preparing":
+      return "Preparing...";
+    case "offered":
+      return transfer.direction === "in" ? "Wants to send you a file" : "";
+    case "sending":
+      return `Sending... ${percent}%`;
+    case "receiving":
+      return `Receiving... ${percent}%`;
+    case "verifying":
+      return "Verifying...";
+    case "done":
+      return transfer.direction === "in" ? "Verified" : "Delivered";
+    case "declined":
+      return "Declined";
+    case "cancelled":
+      return "Cancelled";
+    default:
+      return "Failed";
+  }
+}
+
+// Rebuilt only when the state changes, not on every progress tick
+function renderTransferActions(transfer) {
+  const actions = transfer.elem.querySelector(".transfer-actions");
+  if (actions.dataset.state === transfer.state) return;
+  actions.dataset.state = transfer.state;
+  actions.innerHTML = "";
+
+  const addButton = (text, onClick) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.addEventListener("click", onClick);
+    actions.appendChild(btn);
+  };
+
+  if (transfer.state === "offered" && transfer.direction === "in") {
+    addButton("Accept", () => acceptTransfer(transfer.id));
+    addButton("Decline", () => declineTransfer(transfer.id));
+  } else if (
+    transfer.state === "preparing" ||
+    transfer.state === "offered" ||
+    transfer.state === "sending" ||
+    transfer.state === "receiving"
+  ) {
+    addButton("Cancel", () => cancelTransfer(transfer.id));
+  } else if (transfer.state === "done" && transfer.url) {
+    const link = document.createElement("a");
+    link.href = transfer.url;
+    link.download = transfer.name;
+    link.textContent = "Download";
+    actions.appendChild(link);
+  }
+
+  if (["done", "declined", "cancelled", "failed"].includes(transfer.state)) {
+    addButton("Dismiss", () => {
+      transfer.elem.remove();
+      if (transfer.url) {
+        URL.revokeObjectURL(transfer.url);
+      }
+      transfers.delete(transfer.id);
+    });
+  }
+}
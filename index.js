@@ -5,11 +5,63 @@ document.getElementById("roomCode").addEventListener("keypress", (e) => {
   }
 });
 
-function createRoom() {
-  // Generate random room code
-  const roomCode = Math.random().toString(36).substring(2, 9);
-  sessionStorage.setItem("isCreator", roomCode);
-  window.location.href = `/call.html?room=${roomCode}`;
+// The name others see in the call, remembered for next time. The call page
+// reads it from localStorage; the server cleans it up.
+const displayNameInput = document.getElementById("displayName");
+displayNameInput.value = localStorage.getItem("displayName") || "";
+displayNameInput.addEventListener("input", () => {
+  const name = displayNameInput.value.trim();
+  if (name) {
+    localStorage.setItem("displayName", name);
+  } else {
+    localStorage.removeItem("displayName");
+  }
+});
+
+async function createRoom() {
+  const passcode = document.getElementById("roomPasscode").value;
+  const errorEl = document.getElementById("createError");
+  const createBtn = document.querySelector('button[onclick="createRoom()"]');
+
+  // Passcode is optional, but a one-letter one isn't worth much
+  if (passcode && passcode.length < 4) {
+    errorEl.textContent = "Passcode must be at least 4 characters.";
+    errorEl.classList.add("show");
+    return;
+  }
+
+  createBtn.textContent = "Creating...";
+  createBtn.disabled = true;
+  errorEl.classList.remove("show");
+
+  try {
+    // The server picks the room code and hands back a token proving we own it
+    const response = await fetch("/api/rooms", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        maxParticipants: document.getElementById("maxParticipants").value,
+        passcode: passcode,
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Could not create room");
+    }
+
+    sessionStorage.setItem("isCreator", data.roomId);
+    sessionStorage.setItem(`ownerToken:${data.roomId}`, data.ownerToken);
+    window.location.href = `/call.html?room=${data.roomId}`;
+  } catch (error) {
+    errorEl.textContent =
+      error.message || "Connection error. Please try again.";
+    errorEl.classList.add("show");
+
+    // Reset button
+    createBtn.textContent = "Start New Call";
+    createBtn.disabled = false;
+  }
 }
 async function joinRoom() {
   const roomCode = document
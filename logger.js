@@ -0,0 +1,89 @@
+// logger.js - Leveled logging for the signaling server
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error;
+// default info). LOG_FORMAT=json writes one JSON object per line for log
+// pipelines; otherwise lines are "time LEVEL message key=value ...".
+//
+// child() returns a logger that adds its fields to every line, which is how
+// connection and room IDs end up on everything logged about a client.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+  constructor(options, fields) {
+    this.level = LEVELS[options.level] ? options.level : "info";
+    this.format = options.format === "json" ? "json" : "text";
+    this.output = options.output || process.stdout;
+    this.fields = fields || {};
+  }
+
+  child(fields) {
+    return new Logger(this, { ...this.fields, ...fields });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this.write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this.write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this.write("error", message, fields);
+  }
+
+  write(level, message, fields) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      msg: message,
+    };
+    // Skip unset fields (a connection that isn't in a room has no room)
+    Object.entries({ ...this.fields, ...fields }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+    });
+
+    this.output.write(
+      (this.format === "json" ? JSON.stringify(entry) : formatText(entry)) +
+        "\n"
+    );
+  }
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const pairs = Object.entries(fields).map(([key, value]) => {
+    if (value && value.stack) {
+      return `${key}=${JSON.stringify(value.message)}\n${value.stack}`;
+    }
+    if (typeof value !== "string") {
+      return `${key}=${JSON.stringify(value)}`;
+    }
+    // Quote strings that would otherwise run into the next field
+    return `${key}=${/[\s"=]/.test(value) ? JSON.stringify(value) : value}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+}
+
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+module.exports = { createLogger, LEVELS };
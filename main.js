@@ -1,46 +1,8 @@
-const mainVideo = document.getElementById("main-video");
+// main.js - The call page. The call itself is a CallClient (call-client.js);
+// this file sets one up for the room in the URL and turns its events into
+// what's on screen, with call.js, chat.js and the rest filling in the UI.
 const pipVideo = document.getElementById("pip-video");
 const errText = document.getElementById("err");
-const userMicIndic = document.getElementById("userMicIndic");
-let localStream;
-let remoteStream;
-let peerConnection;
-let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 5;
-let reconnectTimeout;
-let isVideo;
-let isMuted;
-let remoteUserMuted = false; // Track if remote user is muted
-// ✨ NEW: Function to get TURN server credentials
-
-const servers = {
-  iceServers: [
-    {
-      urls: ["stun:stun1.l.google.com:19302", "stun:stun2.l.google.com:19302"],
-    },
-    {
-      urls: "turn:openrelay.metered.ca:80",
-      username: "openrelayproject",
-      credential: "openrelayproject",
-    },
-    {
-      urls: "turn:openrelay.metered.ca:443",
-      username: "openrelayproject",
-      credential: "openrelayproject",
-    },
-    {
-      urls: "turn:openrelay.metered.ca:443?transport=tcp",
-      username: "openrelayproject",
-      credential: "openrelayproject",
-    },
-  ],
-  iceCandidatePoolSize: 10,
-};
-
-let ws;
-let isInitiator = false;
-let wsReconnectTimer;
-let isPageVisible = true;
 
 // Get room ID from URL
 const urlParams = new URLSearchParams(window.location.search);
@@ -50,655 +12,299 @@ if (!roomId) {
   window.location.href = "/";
 }
 
-// ============ VISIBILITY AND LIFECYCLE HANDLING ============
-document.addEventListener("visibilitychange", async () => {
-  isPageVisible = !document.hidden;
-  if (isPageVisible) {
-    await handlePageVisible();
-  }
+// Running inside another site's page (see embed.js)
+const isEmbedded = urlParams.get("embed") === "1";
+
+let spotlightPeerId = null; // Remote peer currently shown in the big video
+let participantCounter = 0; // Numbers the participants without a name
+// peerId -> their display name, or "Participant N". Kept after they leave
+// so chat and transfer messages can still say who it was.
+const peerLabels = new Map();
+
+const call = new CallClient({
+  roomId: roomId,
+  // Adding ?relay=1 to the call URL forces TURN, hiding our IP from peers
+  relayOnly: urlParams.get("relay") === "1",
+  // The owner token when we own the room, or a host grant from an earlier
+  // visit - either skips the lobby
+  hostToken:
+    sessionStorage.getItem(`ownerToken:${roomId}`) ||
+    sessionStorage.getItem(`hostToken:${roomId}`),
+  // index.js sets isCreator when this tab just minted the room
+  ownerToken:
+    sessionStorage.getItem("isCreator") === roomId
+      ? sessionStorage.getItem(`ownerToken:${roomId}`)
+      : null,
+  passcode: sessionStorage.getItem(`passcode:${roomId}`),
+  // Entered on the start page (index.js), or given by the embedding page
+  displayName:
+    (isEmbedded && urlParams.get("displayName")) ||
+    localStorage.getItem("displayName"),
+  muted: sessionStorage.getItem("micOn") === "false",
+  video: sessionStorage.getItem("videoOn") !== "false",
+  audioConstraints: () => audioConstraints(),
+  videoConstraints: () => videoConstraints(),
+  log: log,
 });
 
-// Handle when device wakes up or page becomes visible
-async function handlePageVisible() {
-  // Check if local stream is still active
-  if (localStream) {
-    const videoTrack = localStream.getVideoTracks()[0];
-    const audioTrack = localStream.getAudioTracks()[0];
-
-    if (
-      !videoTrack ||
-      !videoTrack.enabled ||
-      videoTrack.readyState === "ended"
-    ) {
-      if (!isVideo) {
-        await reinitializeMedia();
-      }
-    }
-
-    if (
-      !audioTrack ||
-      !audioTrack.enabled ||
-      audioTrack.readyState === "ended"
-    ) {
-      if (!isMuted) {
-        await reinitializeMedia();
-      }
-    }
-  }
-
-  // Check WebSocket connection
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
-    connectWebSocket();
-  }
-
-  // Check peer connection state
-  if (peerConnection) {
-    const state = peerConnection.connectionState;
-    if (state === "failed" || state === "disconnected" || state === "closed") {
-      await restartConnection();
-    }
-  } else if (isInitiator && ws && ws.readyState === WebSocket.OPEN) {
-    // If we're the initiator but have no peer connection, check if there's someone waiting
-    ws.send(JSON.stringify({ type: "check-peer" }));
-  }
+function participantLabel(peerId) {
+  return peerLabels.get(peerId) || "Participant";
 }
 
-async function reinitializeMedia() {
-  try {
-    // Stop old tracks
-    if (localStream) {
-      localStream.getTracks().forEach((track) => track.stop());
-    }
-
-    // Get ONLY the tracks that should be enabled
-    const constraints = {};
+// ============ MEDIA CONSTRAINTS ============
 
-    // Check sessionStorage for current state
-    const shouldHaveVideo = sessionStorage.getItem("videoOn") === "true";
-    const shouldHaveAudio = sessionStorage.getItem("micOn") === "true";
-
-    if (shouldHaveVideo) {
-      constraints.video = {
-        width: { ideal: 1920, max: 1920 },
-        height: { ideal: 1080, max: 1080 },
-        frameRate: { ideal: 30, max: 60 },
-      };
-    }
-
-    if (shouldHaveAudio) {
-      constraints.audio = {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-      };
-    }
-
-    // If nothing should be enabled, just return
-    if (!shouldHaveVideo && !shouldHaveAudio) {
-      return;
-    }
-
-    const newStream = await navigator.mediaDevices.getUserMedia(constraints);
-
-    // Create a new MediaStream and add tracks
-    localStream = new MediaStream();
-    newStream.getTracks().forEach((track) => {
-      localStream.addTrack(track);
-      track.onended = () => {
-        if (isPageVisible) {
-          reinitializeMedia();
-        }
-      };
-    });
-
-    pipVideo.srcObject = localStream;
-    pipVideo.muted = true;
-    window.localStream = localStream;
-
-    // If we have a peer connection, update tracks
-    if (peerConnection && peerConnection.connectionState === "connected") {
-      await updatePeerConnectionTracks();
-    }
-  } catch (error) {
-    console.error("Failed to reinitialize media:", error);
+// Picked devices are remembered across visits (see devices.js). A remembered
+// device that has gone away falls back to the default; one the user picks
+// right now has to be exactly that device.
+function deviceConstraint(storageKey, exactDeviceId) {
+  if (exactDeviceId) {
+    return { exact: exactDeviceId };
   }
+  const deviceId = localStorage.getItem(storageKey);
+  return deviceId ? { ideal: deviceId } : undefined;
 }
 
-// Update tracks in existing peer connection
-async function updatePeerConnectionTracks() {
-  if (!peerConnection) return;
-
-  try {
-    // Get all senders
-    const senders = peerConnection.getSenders();
-    const videoTrack = localStream.getVideoTracks()[0];
-    // Replace video track
-    const videoSender = senders.find(
-      (s) => s.track && s.track.kind === "video"
-    );
-    if (videoTrack) {
-      if (videoSender) {
-        // Replace existing video track
-        await videoSender.replaceTrack(videoTrack);
-      } else {
-        // Add new video track
-        peerConnection.addTrack(videoTrack, localStream);
-      }
-    } else if (videoSender) {
-      // Remove video track
-      await videoSender.replaceTrack(null);
-    }
-
-    // Handle audio track
-    const audioTrack = localStream.getAudioTracks()[0];
-    const audioSender = senders.find(
-      (s) => s.track && s.track.kind === "audio"
-    );
-
-    if (audioTrack) {
-      if (audioSender) {
-        // Replace existing audio track
-        await audioSender.replaceTrack(audioTrack);
-      } else {
-        // Add new audio track
-        peerConnection.addTrack(audioTrack, localStream);
-      }
-    } else if (audioSender) {
-      // Remove audio track
-      await audioSender.replaceTrack(null);
-    }
-  } catch {
-    await restartConnection();
-  }
+function videoConstraints(exactDeviceId) {
+  return {
+    deviceId: deviceConstraint("cameraId", exactDeviceId),
+    width: { ideal: 1920, max: 1920 },
+    height: { ideal: 1080, max: 1080 },
+    frameRate: { ideal: 30, max: 60 },
+  };
 }
 
-// -----------
-
-// Update tracks for Audio only
-async function updateAudioPeerTracks() {
-  if (!peerConnection) return;
-  try {
-    // Get all senders
-    const senders = peerConnection.getSenders();
-
-    // Replace audio track
-    const audioSender = senders.find(
-      (s) => s.track && s.track.kind === "audio"
-    );
-    if (audioSender) {
-      const newAudioTrack = localStream.getAudioTracks()[0];
-      await audioSender.replaceTrack(newAudioTrack);
-    }
-
-    errText.innerText = "Connected!";
-  } catch {
-    await restartConnection();
-  }
+function audioConstraints(exactDeviceId) {
+  return {
+    deviceId: deviceConstraint("micId", exactDeviceId),
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+  };
 }
 
 // ============ INITIAL SETUP ============
 let init = async () => {
-  const btn02 = document.getElementById("muteBtn");
-  const btn = document.getElementById("videoBtn");
-  if (
-    sessionStorage.getItem("videoOn") === null ||
-    sessionStorage.getItem("videoOn") === "true"
-  ) {
-    sessionStorage.setItem("videoOn", "true");
-    isVideo = true;
-    btn.innerHTML =
-      '<span class="material-symbols-outlined">hangout_video</span>';
-  } else {
-    isVideo = false;
-    btn.innerHTML =
-      '<span class="material-symbols-outlined">hangout_video_off</span>';
-  }
-  if (
-    sessionStorage.getItem("micOn") === null ||
-    sessionStorage.getItem("micOn") === "true"
-  ) {
-    sessionStorage.setItem("micOn", "true");
-    isMuted = false;
-    btn02.innerHTML = '<span class="material-symbols-outlined">mic</span>';
-  } else {
-    isMuted = true;
-    btn02.innerHTML = '<span class="material-symbols-outlined">mic_off</span>';
-  }
-  try {
-    // ALWAYS request both video and audio permissions on init
-    localStream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        width: { ideal: 1920, max: 1920 },
-        height: { ideal: 1080, max: 1080 },
-        frameRate: { ideal: 30, max: 60 },
-      },
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-      },
-    });
-
-    // Then disable tracks based on user settings
-    localStream.getVideoTracks().forEach((track) => {
-      track.enabled = isVideo;
-    });
+  sessionStorage.setItem("videoOn", String(call.isVideo));
+  sessionStorage.setItem("micOn", String(!call.isMuted));
+  updateVideoButton(call.isVideo);
+  updateMuteButton(call.isMuted);
 
-    localStream.getAudioTracks().forEach((track) => {
-      track.enabled = !isMuted;
-    });
-
-    // Monitor track endings
-    localStream.getTracks().forEach((track) => {
-      track.onended = () => {
-        if (isPageVisible) {
-          reinitializeMedia();
-        }
-      };
-    });
+  try {
+    await call.startMedia();
 
-    pipVideo.srcObject = localStream;
+    pipVideo.srcObject = call.localStream;
     pipVideo.muted = true;
-    window.localStream = localStream;
     pipVideo.play().catch(() => {});
 
     errText.innerText = "Camera ready!";
 
-    connectWebSocket();
+    // Check devices first; joining connects to the room. An embedding
+    // page can skip straight to joining, or may have asked to already.
+    if (isEmbedded && (embedAutoJoin || embedJoinPending)) {
+      joinCall();
+    } else {
+      // Not the catch below - the camera and mic are fine by now
+      showPrejoin().catch((error) => {
+        log.error("Failed to list devices", error);
+        errText.innerText = "Couldn't load the device list";
+      });
+    }
   } catch {
     errText.innerText =
       "Camera/mic access denied. Please allow access and refresh.";
+    postToEmbedder("error", {
+      code: "media-denied",
+      message: "Camera/mic access denied",
+    });
   }
 };
 
-// ============ WEBRTC CONNECTION ============
-let createOffer = async () => {
-  if (peerConnection) {
-    peerConnection.close();
-  }
-
-  peerConnection = new RTCPeerConnection(servers);
-
-  setupPeerConnectionListeners();
+// Leave the call and the page
+function exitCall() {
+  call.leave();
+  endPage("You left the call");
+}
 
-  remoteStream = new MediaStream();
-  mainVideo.srcObject = remoteStream;
+// Back to the start page once the call is over. Embedded calls stay put
+// with a message instead - the embedding page decides what's next - and so
+// does a call that was recorded, so the file can still be downloaded.
+async function endPage(message) {
+  // Errors that end the call (room closed, entry denied) leave the client
+  // trying to reconnect unless we leave properly
+  if (!["idle", "left", "kicked"].includes(call.state)) {
+    call.leave();
+  }
 
-  localStream.getTracks().forEach((track) => {
-    const sender = peerConnection.addTrack(track, localStream);
-    mainVideo
-      .play()
-      .catch((err) => console.log("Main video play failed:", err)); // ADD THIS
+  const recordingUrl = await stopRecording();
+  if (recordingUrl) {
+    releaseLocalMedia();
+    showCallEnded(message);
+    offerRecording();
+  } else if (isEmbedded) {
+    releaseLocalMedia();
+    showCallEnded(message);
+  } else {
+    window.location.href = "/";
+  }
+}
 
-    if (track.kind === "video") {
-      const parameters = sender.getParameters();
-      if (!parameters.encodings) {
-        parameters.encodings = [{}];
-      }
-      parameters.encodings[0].maxBitrate = 2500000;
-      sender.setParameters(parameters).catch(() => {});
+// The page stays up after an embedded or recorded call, so turn the camera
+// and mic off
+function releaseLocalMedia() {
+  stopMicMeter();
+  if (!call.localStream) return;
+  document.querySelectorAll("video").forEach((video) => {
+    if (video.srcObject === call.localStream) {
+      video.srcObject = null;
     }
   });
+  call.localStream.getTracks().forEach((track) => track.stop());
+}
 
-  peerConnection.ontrack = (event) => {
-    event.streams[0].getTracks().forEach((track) => {
-      remoteStream.addTrack(track);
-    });
-  };
-
-  peerConnection.onicecandidate = async (event) => {
-    if (event.candidate) {
-      const candidateType = event.candidate.type;
-      console.log(`📌 ICE Candidate Type: ${candidateType}`);
-      console.log(`   Protocol: ${event.candidate.protocol}`);
-      console.log(
-        `   Address: ${event.candidate.address || event.candidate.ip}`
-      );
-      console.log(`   Port: ${event.candidate.port}`);
-      console.log(`   Full candidate:`, event.candidate);
-
-      if (candidateType === "relay") {
-        console.log("✅ Using TURN relay server!");
-      } else if (candidateType === "host") {
-        console.log("🏠 Using host (local) connection");
-      } else if (candidateType === "srflx") {
-        console.log("🌐 Using server reflexive (STUN) connection");
-      }
-
-      ws.send(
-        JSON.stringify({
-          type: "ice-candidate",
-          candidate: event.candidate,
-        })
-      );
+// ============ CALL EVENTS ============
+
+call.on("state-change", (state, info) => {
+  if (state === "connecting") {
+    // The owner token is used up by the first connection
+    sessionStorage.removeItem("isCreator");
+  } else if (state === "waiting") {
+    errText.innerText = "Waiting for the host to let you in...";
+    showLobbyWaiting();
+  } else if (state === "joined") {
+    hideLobbyWaiting();
+    if (info.resumed) {
+      errText.innerText = "Reconnected";
+    } else if (call.peers.size === 0) {
+      errText.innerText = "Waiting for another user...";
     } else {
-      console.log("✅ ICE gathering complete");
+      errText.innerText = "Joined room, waiting for connection...";
     }
-  };
-
-  let offer = await peerConnection.createOffer();
-  await peerConnection.setLocalDescription(offer);
-
-  ws.send(
-    JSON.stringify({
-      type: "offer",
-      offer: offer,
-    })
-  );
-};
-
-// Setup peer connection state listeners
-function setupPeerConnectionListeners() {
-  peerConnection.onconnectionstatechange = () => {
-    switch (peerConnection.connectionState) {
-      case "connected":
-        errText.innerText = "Connected!";
-        reconnectAttempts = 0;
-        break;
-      case "disconnected":
-        errText.innerText = "Connection lost - reconnecting...";
-        scheduleReconnect();
-        break;
-      case "failed":
-        errText.innerText = "Connection failed - retrying...";
-        scheduleReconnect();
-        break;
-      case "closed":
-        errText.innerText = "Connection closed";
-        break;
+  } else if (state === "kicked") {
+    errText.innerText = "The host removed you from the call";
+    if (!isEmbedded) {
+      alert("The host removed you from the call.");
     }
-  };
-}
-
-// Schedule reconnection attempt
-function scheduleReconnect() {
-  if (reconnectTimeout) return; // Already scheduled
-
-  if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-    errText.innerText = "Connection failed. Please refresh.";
-    return;
+    endPage("The host removed you from the call");
   }
+});
 
-  reconnectAttempts++;
-  const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 10000); // Exponential backoff
-
-  reconnectTimeout = setTimeout(() => {
-    reconnectTimeout = null;
-    restartConnection();
-  }, delay);
-}
-
-// Restart the peer connection
-async function restartConnection() {
-  if (peerConnection) {
-    peerConnection.close();
-    peerConnection = null;
+call.on("peer-joined", (peerId) => {
+  const { displayName } = call.peers.get(peerId);
+  if (displayName) {
+    peerLabels.set(peerId, displayName);
+  } else {
+    participantCounter++;
+    peerLabels.set(peerId, `Participant ${participantCounter}`);
   }
-
-  // Notify other peer we're restarting
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: "restart" }));
-
-    // Wait a bit then create new offer if we're initiator
-    setTimeout(() => {
-      if (isInitiator && ws && ws.readyState === WebSocket.OPEN) {
-        createOffer();
-      }
-    }, 1000);
+  addPeerTile(peerId);
+  if (!spotlightPeerId) {
+    setSpotlight(peerId);
   }
-}
-
-// ============ WEBSOCKET CONNECTION ============
-function connectWebSocket() {
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    return; // Already connected
+  if (call.state === "joined") {
+    errText.innerText = `${participantLabel(peerId)} joined. Connecting...`;
   }
+});
 
-  const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-  const wsUrl = `${wsProtocol}//${window.location.host}`;
-  ws = new WebSocket(wsUrl);
-
-  ws.onopen = () => {
-    if (wsReconnectTimer) {
-      clearTimeout(wsReconnectTimer);
-      wsReconnectTimer = null;
-    }
-
-    // ✨ NEW: Check if this user created the room
-    const isCreator = sessionStorage.getItem("isCreator") === roomId;
-
-    if (isCreator) {
-      // Clear the flag so rejoin works normally
-      sessionStorage.removeItem("isCreator");
-
-      // Send create-room message
-      ws.send(
-        JSON.stringify({
-          type: "create-room",
-          roomId: roomId,
-        })
-      );
-    } else {
-      // Regular join
-      ws.send(
-        JSON.stringify({
-          type: "join",
-          roomId: roomId,
-        })
-      );
-    }
-  };
-
-  ws.onmessage = async (event) => {
-    const data = JSON.parse(event.data);
-    console.log("📩 Received:", data.type, data);
-
-    if (data.type === "joined") {
-      isInitiator = data.isInitiator;
-      // Close any existing peer connection when rejoining
-      if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
-        // 🆕 Send our current mute status immediately after joining
-        if (ws && ws.readyState === WebSocket.OPEN) {
-          ws.send(
-            JSON.stringify({
-              type: "mute-status",
-              isMuted: isMuted,
-            })
-          );
-          console.log(`📤 Sent initial mute status: ${isMuted}`);
-        }
-      }
-      if (isInitiator) {
-        errText.innerText = "Waiting for another user...";
-      } else {
-        errText.innerText = "Joined room, waiting for connection...";
-      }
-    } else if (data.type === "ready") {
-      errText.innerText = "User found! Connecting...";
-      if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
-      }
-      if (isInitiator) {
-        await createOffer();
-      } else {
-        setTimeout(async () => {
-          if (!peerConnection || !peerConnection.remoteDescription) {
-            console.log("⚠️ No offer received, becoming initiator");
-            isInitiator = true;
-            await createOffer();
-          }
-        }, 1000);
-      }
-    } else if (data.type === "offer") {
-      errText.innerText = "Connecting...";
-      await handleOffer(data.offer);
-    } else if (data.type === "answer") {
-      await handleAnswer(data.answer);
-    } else if (data.type === "ice-candidate") {
-      await handleIceCandidate(data.candidate);
-    } else if (data.type === "restart") {
-      if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
-      }
-      errText.innerText = "Reconnecting...";
-    } else if (data.type === "check-peer") {
-      // Other peer is checking if we're still here - respond with ready if we are
-      ws.send(JSON.stringify({ type: "peer-ready" }));
-    } else if (data.type === "peer-ready") {
-      // Peer confirmed they're ready - restart connection if needed
-      if (!peerConnection || peerConnection.connectionState !== "connected") {
-        if (isInitiator) {
-          await createOffer();
-        }
-      }
-    } else if (data.type === "peer-disconnected") {
-      errText.innerText = "Other user disconnected.";
-      if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
-      }
-    } else if (data.type === "error") {
-      errText.innerText = data.message || "An error occurred";
-
-      // ✨ NEW: Redirect if room doesn't exist
-      if (data.redirect) {
-        setTimeout(() => {
-          window.location.href = "/";
-        }, 0);
-      }
-    } else if (data.type === "mute-status") {
-      remoteUserMuted = data.isMuted;
-      if (remoteUserMuted) {
-        userMicIndic.classList.add("show");
-      } else {
-        userMicIndic.classList.remove("show");
-      }
-      // Create a function that shows the mute indicator
-    }
-  };
+call.on("peer-left", (peerId) => {
+  removePeerTile(peerId);
+  if (spotlightPeerId === peerId) {
+    const next = call.peers.keys().next();
+    setSpotlight(next.done ? null : next.value);
+  }
+  if (call.state === "joined") {
+    errText.innerText = `${participantLabel(peerId)} disconnected`;
+  }
+});
 
-  ws.onerror = (error) => {
-    errText.innerText = "Connection error...";
-  };
+call.on("remote-track", (peerId) => {
+  updatePeerStream(peerId);
+});
 
-  ws.onclose = () => {
-    // Reconnect after 2 seconds
-    if (!wsReconnectTimer) {
-      wsReconnectTimer = setTimeout(() => {
-        if (isPageVisible) {
-          connectWebSocket();
-        }
-      }, 2000);
-    }
-  };
-}
+const peerStateText = {
+  connecting: "Connecting...",
+  connected: "Connected!",
+  disconnected: "Connection lost - reconnecting...",
+  failed: "Connection failed - retrying...",
+  closed: "Connection closed",
+  recovering: "Network changed - reconnecting...",
+  rebuilding: "Reconnect failed - rebuilding connection...",
+  restarting: "Reconnecting...",
+  "gave-up": "Connection failed. Please refresh.",
+};
 
-async function handleOffer(offer) {
-  if (peerConnection) {
-    peerConnection.close();
+call.on("peer-state", (peerId, state) => {
+  if (peerStateText[state]) {
+    errText.innerText = peerStateText[state];
   }
+});
 
-  peerConnection = new RTCPeerConnection(servers);
-
-  setupPeerConnectionListeners();
-
-  remoteStream = new MediaStream();
-  mainVideo.srcObject = remoteStream;
-  mainVideo.play().catch((err) => console.log("Main video play failed:", err)); // ADD THIS
+call.on("peer-muted", (peerId) => {
+  updatePeerMuteIndicator(peerId);
+});
 
-  localStream.getTracks().forEach((track) => {
-    const sender = peerConnection.addTrack(track, localStream);
+call.on("peer-video", (peerId) => {
+  updatePeerAvatar(peerId);
+});
 
-    if (track.kind === "video") {
-      const parameters = sender.getParameters();
-      if (!parameters.encodings) {
-        parameters.encodings = [{}];
-      }
-      parameters.encodings[0].maxBitrate = 2500000;
-      sender
-        .setParameters(parameters)
-        .catch((e) => console.error("Error setting parameters:", e));
-    }
-  });
+call.on("peer-sharing", (peerId, isSharing) => {
+  updatePeerShareIndicator(peerId);
+  // Put whoever starts presenting in the big video
+  if (isSharing) {
+    showPeerInMain(peerId);
+  }
+});
 
-  peerConnection.ontrack = (event) => {
-    event.streams[0].getTracks().forEach((track) => {
-      remoteStream.addTrack(track);
-    });
-  };
+call.on("screen-share", (isSharing) => {
+  showLocalPreview(isSharing ? call.screenStream : call.localStream);
+  updateShareButton();
+  errText.innerText = isSharing ? "You are presenting" : "Stopped presenting";
+});
 
-  peerConnection.onicecandidate = async (event) => {
-    if (event.candidate) {
-      const candidateType = event.candidate.type;
-      console.log(`📌 ICE Candidate Type: ${candidateType}`);
-      console.log(`   Protocol: ${event.candidate.protocol}`);
-      console.log(
-        `   Address: ${event.candidate.address || event.candidate.ip}`
-      );
-      console.log(`   Port: ${event.candidate.port}`);
-      console.log(`   Full candidate:`, event.candidate);
-
-      if (candidateType === "relay") {
-        console.log("✅ Using TURN relay server!");
-      } else if (candidateType === "host") {
-        console.log("🏠 Using host (local) connection");
-      } else if (candidateType === "srflx") {
-        console.log("🌐 Using server reflexive (STUN) connection");
-      }
-
-      ws.send(
-        JSON.stringify({
-          type: "ice-candidate",
-          candidate: event.candidate,
-        })
-      );
-    } else {
-      console.log("✅ ICE gathering complete");
-    }
-  };
+let wasHost = false;
+call.on("host-change", (hostPeerId, isHost) => {
+  updateHostControls();
+  if (isHost && !wasHost && call.state === "joined") {
+    errText.innerText = "You are now the host";
+  }
+  wasHost = isHost;
+});
 
-  await peerConnection.setRemoteDescription(offer);
+call.on("host-assigned", (hostToken) => {
+  // Keep the grant so a reload puts us straight back in as host
+  if (hostToken) {
+    sessionStorage.setItem(`hostToken:${roomId}`, hostToken);
+  }
+});
 
-  let answer = await peerConnection.createAnswer();
-  await peerConnection.setLocalDescription(answer);
+call.on("knock", (peerId, displayName) => showKnock(peerId, displayName));
+call.on("knock-cancelled", (peerId) => removeKnock(peerId));
 
-  ws.send(
-    JSON.stringify({
-      type: "answer",
-      answer: answer,
-    })
-  );
-}
+call.on("error", (error) => {
+  errText.innerText = error.message;
 
-async function handleAnswer(answer) {
-  if (!peerConnection) {
-    return;
+  // Passcode missing or wrong - ask for it and try again
+  if (error.code === "passcode-required" || error.code === "passcode-invalid") {
+    showPasscodePrompt(error.message);
+  } else if (error.code === "too-many-attempts") {
+    showPasscodePrompt(error.message, true);
   }
-  await peerConnection.setRemoteDescription(answer);
-  errText.innerText = "Connected!";
-}
 
-async function handleIceCandidate(candidate) {
-  if (peerConnection) {
-    try {
-      await peerConnection.addIceCandidate(candidate);
-    } catch (error) {}
+  // Redirect if room doesn't exist
+  if (error.redirect) {
+    setTimeout(() => endPage(error.message), 0);
   }
-}
+});
 
-// Start the initialization
-init();
+// Start once every script on the page has loaded
+window.addEventListener("DOMContentLoaded", init);
 
 // Functional:
 // Disallow joining random rooms - DONE
-// Handle network switches gracefully
+// Handle network switches gracefully - DONE
 // Add database storage and review screen after calls
-// Kick/accept option for room owners
-// Screen sharing
+// Kick/accept option for room owners - DONE
+// Screen sharing - DONE
+// Device selection before and during calls - DONE
 
 // Design:
 // Change "end call" to "leave room"
@@ -0,0 +1,165 @@
+// message-schemas.js - What each signaling message from a client may contain
+//
+// validateMessage() checks a parsed message against its schema and returns a
+// clean copy holding only the fields the schema knows about, so nothing a
+// client makes up (a forged "from", extra SDP fields, ...) is ever relayed.
+//
+// Field specs:
+//   { type: "string", max, values? }  - values limits it to a fixed set
+//   { type: "boolean" } / { type: "number" }
+//   { type: "object", fields: {...} } - nested schema
+//   optional: true                    - may be missing or null
+
+const id = { type: "string", max: 64 };
+const optionalToken = { type: "string", max: 128, optional: true };
+// Cleaned up and shortened further by the server before anyone sees it
+const displayName = { type: "string", max: 256, optional: true };
+const target = id;
+
+// Session descriptions are the biggest thing we relay; a mesh call's SDP is
+// a few KB per peer, so this leaves plenty of headroom
+const description = (type) => ({
+  type: "object",
+  fields: {
+    type: { type: "string", max: 16, values: [type] },
+    sdp: { type: "string", max: 32 * 1024 },
+  },
+});
+
+const SCHEMAS = {
+  "create-room": {
+    roomId: id,
+    // Checked by handleCreateRoom, which answers a missing one properly
+    ownerToken: optionalToken,
+    displayName: displayName,
+  },
+  join: {
+    roomId: id,
+    hostToken: optionalToken,
+    passcode: { type: "string", max: 64, optional: true },
+    resumeToken: optionalToken,
+    displayName: displayName,
+  },
+  leave: {},
+  admit: { peerId: id },
+  deny: { peerId: id },
+  kick: { peerId: id },
+  offer: { target: target, offer: description("offer") },
+  answer: { target: target, answer: description("answer") },
+  "ice-candidate": {
+    target: target,
+    candidate: {
+      type: "object",
+      fields: {
+        candidate: { type: "string", max: 1024 },
+        sdpMid: { type: "string", max: 64, optional: true },
+        sdpMLineIndex: { type: "number", optional: true },
+        usernameFragment: { type: "string", max: 256, optional: true },
+      },
+    },
+  },
+  restart: { target: target },
+  "check-peer": {},
+  "peer-ready": {},
+  "media-state": {
+    isMuted: { type: "boolean" },
+    isVideo: { type: "boolean" },
+    isSharing: { type: "boolean" },
+  },
+  "recording-status": { isRecording: { type: "boolean" } },
+  // A member asking for fresh TURN credentials; answered with the same type
+  "ice-servers": {},
+  chat: {
+    target: target,
+    message: {
+      type: "object",
+      fields: {
+        id: id,
+        text: { type: "string", max: 1000 },
+        ts: { type: "number" },
+      },
+    },
+  },
+};
+
+// Returns { ok: true, message } or { ok: false, code, error }
+function validateMessage(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return invalid("invalid-message", "Message must be a JSON object");
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(SCHEMAS, data.type)) {
+    return invalid("unknown-type", `Unknown message type: ${data.type}`);
+  }
+  const schema = SCHEMAS[data.type];
+
+  const result = checkFields(schema, data, "");
+  if (result.error) {
+    return invalid("invalid-message", `${data.type}: ${result.error}`);
+  }
+
+  return { ok: true, message: { type: data.type, ...result.value } };
+}
+
+function checkFields(fields, data, path) {
+  const value = {};
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = path + name;
+    const fieldValue = data[name];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (spec.optional) continue;
+      return { error: `${fieldPath} is required` };
+    }
+
+    const result = checkField(spec, fieldValue, fieldPath);
+    if (result.error) return result;
+    value[name] = result.value;
+  }
+
+  return { value: value };
+}
+
+function checkField(spec, value, path) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") {
+        return { error: `${path} must be a string` };
+      }
+      if (value.length > spec.max) {
+        return { error: `${path} is too long` };
+      }
+      if (spec.values && !spec.values.includes(value)) {
+        return { error: `${path} must be one of ${spec.values.join(", ")}` };
+      }
+      return { value: value };
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return { error: `${path} must be a boolean` };
+      }
+      return { value: value };
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: `${path} must be a number` };
+      }
+      return { value: value };
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: `${path} must be an object` };
+      }
+      return checkFields(spec.fields, value, `${path}.`);
+
+    default:
+      throw new Error(`Bad schema for ${path}: ${spec.type}`);
+  }
+}
+
+function invalid(code, error) {
+  return { ok: false, code: code, error: error };
+}
+
+module.exports = { SCHEMAS, validateMessage };
@@ -0,0 +1,129 @@
+// metrics.js - Just enough of a Prometheus client for the signaling server
+//
+// Counters and histograms are updated as things happen; gauges are read
+// from a callback when /metrics is scraped. render() produces the text
+// exposition format (version 0.0.4).
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.add(new Counter(name, help));
+  }
+
+  // collect() returns a number, or [{ labels, value }] for labelled gauges
+  gauge(name, help, collect) {
+    return this.add(new Gauge(name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.add(new Histogram(name, help, buckets));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map((metric) => metric.render()).join("");
+  }
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // label string -> count
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    let text = header(this.name, this.help, "counter");
+    if (this.values.size === 0) {
+      text += `${this.name} 0\n`;
+    }
+    this.values.forEach((value, key) => {
+      text += `${this.name}${key} ${value}\n`;
+    });
+    return text;
+  }
+}
+
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    let text = header(this.name, this.help, "gauge");
+    const value = this.collect();
+    if (typeof value === "number") {
+      return text + `${this.name} ${value}\n`;
+    }
+    value.forEach((sample) => {
+      text += `${this.name}${formatLabels(sample.labels)} ${sample.value}\n`;
+    });
+    return text;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.counts = this.buckets.map(() => 0);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        this.counts[i]++;
+      }
+    });
+    this.count++;
+    this.sum += value;
+  }
+
+  render() {
+    let text = header(this.name, this.help, "histogram");
+    this.buckets.forEach((bound, i) => {
+      text += `${this.name}_bucket{le="${bound}"} ${this.counts[i]}\n`;
+    });
+    text += `${this.name}_bucket{le="+Inf"} ${this.count}\n`;
+    text += `${this.name}_sum ${this.sum}\n`;
+    text += `${this.name}_count ${this.count}\n`;
+    return text;
+  }
+}
+
+function header(name, help, type) {
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) => `${key}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+module.exports = { Registry };
@@ -0,0 +1,323 @@
+// recording.js - Recording the call in this browser: the two big videos laid
+// out as on screen, everyone's audio mixed, saved as a WebM file. The others
+// are told (recording-status) and see a banner while it runs.
+const recordBtnElem = document.getElementById("recordBtn");
+const recordingBannerElem = document.getElementById("recording-banner");
+const recordingReadyElem = document.getElementById("recording-ready");
+
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+// Background tabs throttle timers, so a hidden page records far fewer frames
+const RECORDING_FPS = 30;
+// Best first; browsers that can't do VP9 fall back
+const RECORDING_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+];
+
+const canRecord =
+  !!window.MediaRecorder &&
+  !!window.AudioContext &&
+  "captureStream" in HTMLCanvasElement.prototype;
+
+// The recording in progress: { recorder, stream, canvas, context,
+//   audioContext, destination, sources, drawTimer, startedAt, done }
+let recording = null;
+// Resolves to the download URL of the last recording once it's saved
+let savedRecording = null;
+
+if (!canRecord) {
+  recordBtnElem.classList.add("hide");
+}
+
+call.on("peer-recording", updateRecordingBanner);
+call.on("peer-left", updateRecordingBanner);
+call.on("state-change", (state) => {
+  if (state === "left" || state === "kicked") {
+    stopRecording();
+  }
+});
+
+// Closing the tab would throw the recording away
+window.addEventListener("beforeunload", (event) => {
+  if (recording) {
+    event.preventDefault();
+    event.returnValue = "";
+  }
+});
+
+function toggleRecording() {
+  if (recording) {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+function startRecording() {
+  if (recording || !canRecord || call.state !== "joined") return;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = RECORDING_WIDTH;
+  canvas.height = RECORDING_HEIGHT;
+  const audioContext = new AudioContext();
+  const destination = audioContext.createMediaStreamDestination();
+  const stream = new MediaStream([
+    ...canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+    ...destination.stream.getAudioTracks(),
+  ]);
+
+  const mimeType = RECORDING_TYPES.find((type) =>
+    MediaRecorder.isTypeSupported(type)
+  );
+  let recorder;
+  try {
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  } catch (error) {
+    log.error("Could not start recording", error);
+    errText.innerText = "This browser can't record the call";
+    stream.getTracks().forEach((track) => track.stop());
+    audioContext.close();
+    return;
+  }
+
+  const chunks = [];
+  const rec = {
+    recorder: recorder,
+    stream: stream,
+    canvas: canvas,
+    context: canvas.getContext("2d"),
+    audioContext: audioContext,
+    destination: destination,
+    sources: new Map(), // audio track -> its source node
+    drawTimer: null,
+    startedAt: new Date(),
+    done: null,
+  };
+  rec.done = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      audioContext.close();
+      resolve(saveRecording(chunks, recorder.mimeType, rec.startedAt));
+    };
+  });
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+
+  recording = rec;
+  mixRecordingAudio(rec);
+  drawRecordingFrame(rec);
+  rec.drawTimer = setInterval(() => {
+    mixRecordingAudio(rec);
+    drawRecordingFrame(rec);
+  }, 1000 / RECORDING_FPS);
+  // Hand over data every second, so a crash loses little
+  recorder.start(1000);
+
+  call.setRecording(true);
+  recordingReadyElem.classList.remove("show");
+  updateRecordButton();
+  updateRecordingBanner();
+  log.info("Recording started", { mimeType: recorder.mimeType });
+}
+
+// Resolves to the download URL once the file is ready (null if nothing was
+// ever recorded)
+function stopRecording() {
+  if (!recording) {
+    return savedRecording || Promise.resolve(null);
+  }
+
+  const rec = recording;
+  recording = null;
+  clearInterval(rec.drawTimer);
+  rec.recorder.stop();
+  savedRecording = rec.done;
+
+  call.setRecording(false);
+  updateRecordButton();
+  updateRecordingBanner();
+  log.info("Recording stopped", {
+    seconds: Math.round((Date.now() - rec.startedAt) / 1000),
+  });
+  return savedRecording;
+}
+
+function saveRecording(chunks, mimeType, startedAt) {
+  const blob = new Blob(chunks, { type: mimeType || "video/webm" });
+  const url = URL.createObjectURL(blob);
+
+  const stamp = startedAt.toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  const link = recordingReadyElem.querySelector("a");
+  if (link.href.startsWith("blob:")) {
+    URL.revokeObjectURL(link.href);
+  }
+  link.href = url;
+  link.download = `call-${roomId}-${stamp}.webm`;
+  recordingReadyElem.classList.add("show");
+  return url;
+}
+
+// Show the download again, e.g. when the call ends after it was dismissed
+function offerRecording() {
+  recordingReadyElem.classList.add("show");
+}
+
+function dismissRecording() {
+  recordingReadyElem.classList.remove("show");
+}
+
+// ============ MIXING ============
+
+// Follow our mic and everyone's audio as people come and go or switch
+// devices. A muted mic is a disabled track, so it records as silence.
+function mixRecordingAudio(rec) {
+  const tracks = [];
+  const localTrack = call.localStream
+    ? call.localStream.getAudioTracks()[0]
+    : null;
+  if (localTrack) {
+    tracks.push(localTrack);
+  }
+  call.peers.forEach((peer) => {
+    const track = peer.remoteStream.getAudioTracks()[0];
+    if (track) {
+      tracks.push(track);
+    }
+  });
+
+  rec.sources.forEach((source, track) => {
+    if (!tracks.includes(track) || track.readyState === "ended") {
+      source.disconnect();
+      rec.sources.delete(track);
+    }
+  });
+  tracks.forEach((track) => {
+    if (rec.sources.has(track) || track.readyState === "ended") return;
+    const source = rec.audioContext.createMediaStreamSource(
+      new MediaStream([track])
+    );
+    source.connect(rec.destination);
+    rec.sources.set(track, source);
+  });
+}
+
+// The same layout as the page: whoever is in the big video fills the
+// frame, the other one sits in the corner
+function drawRecordingFrame(rec) {
+  const ctx = rec.context;
+  const width = rec.canvas.width;
+  const height = rec.canvas.height;
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, width, height);
+
+  const mainVideo = document.getElementById("main-video");
+  drawRecordingVideo(ctx, {
+    video: mainVideo,
+    avatar: document.getElementById("main-avatar"),
+    label: mainUser === "them" ? spotlightLabel() : "You",
+    contain: mainVideo.classList.contains("contain"),
+    x: 0,
+    y: 0,
+    width: width,
+    height: height,
+  });
+
+  const pipWidth = Math.round(width / 4);
+  const pipHeight = Math.round((pipWidth * 3) / 4);
+  drawRecordingVideo(ctx, {
+    video: document.getElementById("pip-video"),
+    avatar: document.getElementById("pip-avatar"),
+    label: document.getElementById("pip-label").textContent,
+    contain: false,
+    x: width - pipWidth - 20,
+    y: height - pipHeight - 20,
+    width: pipWidth,
+    height: pipHeight,
+  });
+}
+
+function drawRecordingVideo(ctx, tile) {
+  const { video, x, y, width, height } = tile;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, width, height);
+  ctx.clip();
+
+  if (!tile.avatar.classList.contains("hide")) {
+    // Camera off - draw the avatar the page shows
+    ctx.fillStyle = "#202124";
+    ctx.fillRect(x, y, width, height);
+    const radius = Math.min(width, height) / 6;
+    ctx.fillStyle = "#667eea";
+    ctx.beginPath();
+    ctx.arc(x + width / 2, y + height / 2, radius, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = "#fff";
+    ctx.font = `600 ${Math.round(radius * 0.8)}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(tile.avatar.textContent.trim(), x + width / 2, y + height / 2);
+  } else if (video.srcObject && video.videoWidth > 0) {
+    // Scale like object-fit: cover, or contain for shared screens
+    const fit = tile.contain ? Math.min : Math.max;
+    const scale = fit(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    ctx.drawImage(
+      video,
+      x + (width - drawWidth) / 2,
+      y + (height - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+  }
+
+  if (tile.label) {
+    ctx.font = "600 16px sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    const labelWidth = ctx.measureText(tile.label).width + 16;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(x + 10, y + height - 38, labelWidth, 28);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(tile.label, x + 18, y + height - 24);
+  }
+  ctx.restore();
+}
+
+// ============ UI ============
+
+function updateRecordButton() {
+  recordBtnElem.classList.toggle("recording", !!recording);
+  recordBtnElem.title = recording ? "Stop recording" : "Record the call";
+}
+
+// Everyone sees who is recording, themselves included
+function updateRecordingBanner() {
+  const names = [];
+  if (call.isRecording) {
+    names.push("You");
+  }
+  call.peers.forEach((peer, peerId) => {
+    if (peer.isRecording) {
+      names.push(participantLabel(peerId));
+    }
+  });
+
+  recordingBannerElem.classList.toggle("show", names.length > 0);
+  if (names.length === 0) return;
+
+  const who =
+    names.length === 1
+      ? names[0]
+      : `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+  const verb = names.length === 1 && names[0] !== "You" ? "is" : "are";
+  document.getElementById(
+    "recording-banner-text"
+  ).textContent = `${who} ${verb} recording this call`;
+}
@@ -0,0 +1,332 @@
+// redis-client.js - A small Redis client speaking RESP2 over a plain socket
+//
+// Covers what the signaling server needs (a handful of commands plus
+// pub/sub) without pulling in a driver. A client reconnects by itself,
+// queues commands while it's down (up to a point), and re-subscribes its
+// channels.
+//
+// A connection that has subscribed can't run other commands (that's Redis'
+// rule), so the server keeps one client for commands and one for
+// subscriptions - see createRedisClients().
+
+const EventEmitter = require("events");
+const net = require("net");
+const tls = require("tls");
+
+const RECONNECT_MIN_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+// Waiting for a reply, or for the connection to come back, gives up after
+// this long. A connection that stops answering is dropped and reopened.
+const COMMAND_TIMEOUT = 10000;
+// Commands kept while disconnected; more than this fail straight away
+const OFFLINE_QUEUE_MAX = 1000;
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RedisError";
+  }
+}
+
+class RedisClient extends EventEmitter {
+  // url: redis://[:password@]host[:port][/db], or rediss:// for TLS
+  constructor(url, { log, name } = {}) {
+    super();
+    this.url = new URL(url || "redis://localhost:6379");
+    this.log = log;
+    this.name = name || "redis";
+    this.socket = null;
+    this.connected = false;
+    this.ready = false; // connected, authenticated and subscribed
+    this.closing = false;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.reconnectTimer = null;
+    this.pending = []; // { resolve, reject } per command sent, in order
+    this.offline = []; // commands waiting for the connection
+    this.channels = new Map(); // channel -> handler
+    this.buffer = Buffer.alloc(0);
+    this.connect();
+  }
+
+  connect() {
+    const secure = this.url.protocol === "rediss:";
+    const options = {
+      host: this.url.hostname || "localhost",
+      port: parseInt(this.url.port, 10) || 6379,
+    };
+    this.socket = secure ? tls.connect(options) : net.connect(options);
+    this.socket.setNoDelay(true);
+
+    this.socket.on(secure ? "secureConnect" : "connect", () =>
+      this.onConnect()
+    );
+    this.socket.on("data", (data) => this.onData(data));
+    this.socket.on("error", (error) => {
+      this.log.warn("Redis connection error", {
+        client: this.name,
+        error: error.message,
+      });
+    });
+    this.socket.on("close", () => this.onClose());
+  }
+
+  onConnect() {
+    this.connected = true;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.buffer = Buffer.alloc(0);
+
+    // Handshake goes out ahead of anything queued while we were down
+    const handshake = [];
+    const password = decodeURIComponent(this.url.password);
+    if (password) {
+      const username = decodeURIComponent(this.url.username);
+      handshake.push(
+        username ? ["AUTH", username, password] : ["AUTH", password]
+      );
+    }
+    const db = parseInt(this.url.pathname.slice(1), 10);
+    if (db) {
+      handshake.push(["SELECT", String(db)]);
+    }
+    if (this.channels.size > 0) {
+      handshake.push(["SUBSCRIBE", ...this.channels.keys()]);
+    }
+    // "ready" only once we're authenticated and subscribed
+    Promise.all(handshake.map((args) => this.send(args))).then(
+      () => {
+        const queued = this.offline;
+        this.offline = [];
+        queued.forEach(({ args, resolve, reject, timer }) => {
+          clearTimeout(timer);
+          this.send(args).then(resolve, reject);
+        });
+
+        this.log.info("Connected to Redis", {
+          client: this.name,
+          host: this.url.host,
+        });
+        this.ready = true;
+        this.emit("ready");
+      },
+      (error) => {
+        this.log.error("Redis handshake failed", {
+          client: this.name,
+          error: error.message,
+        });
+        this.socket.destroy();
+      }
+    );
+  }
+
+  onClose() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.ready = false;
+    this.pending.forEach(({ reject }) => {
+      reject(new RedisError("Connection closed"));
+    });
+    this.pending = [];
+    if (this.closing) return;
+
+    if (wasConnected) {
+      this.log.warn("Lost connection to Redis", { client: this.name });
+      this.emit("down");
+    }
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(
+      this.reconnectDelay * 2,
+      RECONNECT_MAX_DELAY
+    );
+  }
+
+  // Run a command, e.g. command("HSET", "rooms", id, json). Resolves with
+  // the reply; Redis errors, timeouts and a full offline queue reject with
+  // a RedisError.
+  command(...args) {
+    if (this.connected) {
+      return this.send(args);
+    }
+    if (this.offline.length >= OFFLINE_QUEUE_MAX) {
+      return Promise.reject(new RedisError("Offline queue is full"));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { args, resolve, reject, timer: null };
+      entry.timer = setTimeout(() => {
+        this.offline.splice(this.offline.indexOf(entry), 1);
+        reject(new RedisError("Timed out waiting for Redis"));
+      }, COMMAND_TIMEOUT);
+      this.offline.push(entry);
+    });
+  }
+
+  // Published messages are live signaling; replaying old ones after an
+  // outage would do more harm than losing them, so they're never queued
+  publish(channel, message) {
+    if (!this.connected) {
+      return Promise.reject(new RedisError("Not connected to Redis"));
+    }
+    return this.send(["PUBLISH", channel, message]);
+  }
+
+  // handler(message) gets each message published to the channel
+  subscribe(channel, handler) {
+    const first = !this.channels.has(channel);
+    this.channels.set(channel, handler);
+    // A reconnect subscribes to everything in this.channels anyway
+    if (first && this.connected) {
+      return this.send(["SUBSCRIBE", channel]);
+    }
+    return Promise.resolve();
+  }
+
+  close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.offline.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new RedisError("Client closed"));
+    });
+    this.offline = [];
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket;
+      const timer = setTimeout(() => {
+        reject(new RedisError("Timed out waiting for Redis"));
+        // Replies come in order, so nothing behind this one will arrive
+        // either. The close handler fails the rest.
+        this.log.warn("Redis stopped answering", { client: this.name });
+        socket.destroy();
+      }, COMMAND_TIMEOUT);
+      this.pending.push({
+        resolve: (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    for (;;) {
+      let parsed;
+      try {
+        parsed = parseReply(this.buffer, 0);
+      } catch (error) {
+        // Out of step with the server - start over on a fresh connection
+        this.log.error("Bad reply from Redis", {
+          client: this.name,
+          error: error.message,
+        });
+        this.socket.destroy();
+        return;
+      }
+      if (!parsed) return; // wait for the rest of the reply
+      this.buffer = this.buffer.subarray(parsed.end);
+      this.onReply(parsed.value);
+    }
+  }
+
+  onReply(reply) {
+    // Pushed by the server, not an answer to anything we sent
+    if (Array.isArray(reply) && reply[0] === "message") {
+      const handler = this.channels.get(reply[1]);
+      if (handler) {
+        handler(reply[2]);
+      }
+      return;
+    }
+    // SUBSCRIBE answers once per channel; only the first settles the command
+    if (Array.isArray(reply) && reply[0] === "subscribe" && !this.pending[0]) {
+      return;
+    }
+
+    const request = this.pending.shift();
+    if (!request) return;
+    if (reply instanceof RedisError) {
+      request.reject(reply);
+    } else {
+      request.resolve(reply);
+    }
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  args.forEach((arg) => {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return command;
+}
+
+// Parse one RESP2 reply starting at offset. Returns { value, end }, or null
+// when the buffer doesn't hold the whole reply yet.
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, end: next };
+    case "-":
+      return { value: new RedisError(line), end: next };
+    case ":":
+      return { value: parseInt(line, 10), end: next };
+    case "$": {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, end: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        end: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, end: next };
+      const items = [];
+      let end = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, end);
+        if (!item) return null;
+        items.push(item.value);
+        end = item.end;
+      }
+      return { value: items, end: end };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+// One client for commands and publishing, one for subscriptions
+function createRedisClients(url, log) {
+  return {
+    commands: new RedisClient(url, { log: log, name: "commands" }),
+    subscriber: new RedisClient(url, { log: log, name: "subscriber" }),
+  };
+}
+
+module.exports = {
+  RedisClient,
+  RedisError,
+  createRedisClients,
+  encodeCommand,
+  parseReply,
+};
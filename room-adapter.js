@@ -0,0 +1,418 @@
+// room-adapter.js - Who is in which room, and getting messages to them
+//
+// server.js keeps the WebSockets connected to this process. The adapter
+// keeps the room-level picture that every node needs to agree on:
+//
+//   members  - peerId -> { peerId, nodeId, displayName, joinedAt, isMuted,
+//              isVideo, isSharing, isRecording }, in join order
+//   host     - peerId of the member with host rights, or null
+//   waiting  - peerId -> { peerId, nodeId, displayName } for people knocking
+//              in the lobby
+//
+// and moves messages to peers wherever they're connected:
+//
+//   send(peerId, message)              - to one peer (member or knocking)
+//   broadcast(roomId, message, except) - to every member of a room
+//   command(peerId, command)           - server-to-server, e.g. "admit"
+//
+// Deliveries come back out as events for the node holding the peer's socket:
+//   "deliver" (peerId, message)  - send this to the client
+//   "command" (peerId, command)  - act on this client's behalf
+//   "member-lost" (roomId, member, wasHost) - its node went away
+//   "waiting-lost" (roomId, peerId)         - likewise, for a knock
+//   "change" (roomId)                       - the picture changed
+//
+// MemoryRoomAdapter is the single-process version. RedisRoomAdapter keeps
+// a copy of the picture on every node, in step over Redis pub/sub.
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+
+class MemoryRoomAdapter extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = crypto.randomBytes(4).toString("hex");
+    this.rooms = new Map(); // roomId -> { members, host, waiting }
+  }
+
+  isReady() {
+    return true;
+  }
+
+  room(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        members: new Map(),
+        host: null,
+        waiting: new Map(),
+      });
+    }
+    return this.rooms.get(roomId);
+  }
+
+  // Drop rooms with nothing left in them
+  tidy(roomId) {
+    const room = this.rooms.get(roomId);
+    if (room && room.members.size === 0 && room.waiting.size === 0) {
+      this.rooms.delete(roomId);
+    }
+  }
+
+  members(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.members.values()) : [];
+  }
+
+  member(roomId, peerId) {
+    const room = this.rooms.get(roomId);
+    return (room && room.members.get(peerId)) || null;
+  }
+
+  host(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.host : null;
+  }
+
+  waiting(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.waiting.keys()) : [];
+  }
+
+  waitingEntry(roomId, peerId) {
+    const room = this.rooms.get(roomId);
+    return (room && room.waiting.get(peerId)) || null;
+  }
+
+  addMember(roomId, member) {
+    this.change({
+      op: "add-member",
+      roomId: roomId,
+      member: { ...member, nodeId: this.nodeId },
+    });
+  }
+
+  updateMember(roomId, peerId, changes) {
+    this.change({
+      op: "update-member",
+      roomId: roomId,
+      peerId: peerId,
+      changes: changes,
+    });
+  }
+
+  removeMember(roomId, peerId) {
+    this.change({ op: "remove-member", roomId: roomId, peerId: peerId });
+  }
+
+  setHost(roomId, peerId) {
+    this.change({ op: "set-host", roomId: roomId, peerId: peerId });
+  }
+
+  addWaiting(roomId, peerId, displayName) {
+    this.change({
+      op: "add-waiting",
+      roomId: roomId,
+      peerId: peerId,
+      displayName: displayName,
+    });
+  }
+
+  removeWaiting(roomId, peerId) {
+    this.change({ op: "remove-waiting", roomId: roomId, peerId: peerId });
+  }
+
+  change(event) {
+    this.apply(event, this.nodeId);
+  }
+
+  // Every change to the picture goes through here, whichever node made it
+  apply(event, nodeId) {
+    const room = this.room(event.roomId);
+    switch (event.op) {
+      case "add-member":
+        room.members.set(event.member.peerId, event.member);
+        break;
+      case "update-member":
+        if (room.members.has(event.peerId)) {
+          Object.assign(room.members.get(event.peerId), event.changes);
+        }
+        break;
+      case "remove-member":
+        room.members.delete(event.peerId);
+        if (room.host === event.peerId) {
+          room.host = null;
+        }
+        break;
+      case "set-host":
+        room.host = event.peerId;
+        break;
+      case "add-waiting":
+        room.waiting.set(event.peerId, {
+          peerId: event.peerId,
+          nodeId: nodeId,
+          displayName: event.displayName || null,
+        });
+        break;
+      case "remove-waiting":
+        room.waiting.delete(event.peerId);
+        break;
+    }
+    this.tidy(event.roomId);
+    this.emit("change", event.roomId);
+  }
+
+  send(peerId, message) {
+    this.emit("deliver", peerId, message);
+  }
+
+  broadcast(roomId, message, exceptPeerId) {
+    this.members(roomId).forEach((member) => {
+      if (member.peerId !== exceptPeerId) {
+        this.emit("deliver", member.peerId, message);
+      }
+    });
+  }
+
+  command(peerId, command) {
+    this.emit("command", peerId, command);
+  }
+
+  close() {}
+}
+
+// Every node holds the whole picture. Changes are applied locally straight
+// away and published for the other nodes; messages for peers on another
+// node are published and picked up by whichever node holds the peer.
+//
+// A node that starts up asks the others for their part of the picture.
+// Nodes announce themselves every NODE_ALIVE_INTERVAL; one that's been
+// silent for NODE_TIMEOUT is taken to be gone, along with its members.
+const NODE_ALIVE_INTERVAL = 5000; // 5 seconds
+const NODE_TIMEOUT = 15000; // 15 seconds
+
+class RedisRoomAdapter extends MemoryRoomAdapter {
+  constructor(redis, { channel, log }) {
+    super();
+    this.redis = redis;
+    this.channel = channel;
+    this.log = log;
+    this.ready = false;
+    this.nodes = new Map(); // nodeId -> last heard from
+
+    // "ready" comes once the subscription is in place, after every connect.
+    // Publishing isn't queued while Redis is down, so wait for both clients.
+    const onReady = () => {
+      if (this.redis.subscriber.ready && this.redis.commands.ready) {
+        this.hello();
+      }
+    };
+    this.redis.subscriber.on("ready", onReady);
+    this.redis.commands.on("ready", onReady);
+    this.redis.subscriber.subscribe(this.channel, (payload) =>
+      this.onPublished(payload)
+    );
+
+    this.aliveInterval = setInterval(() => {
+      this.publish({ op: "alive" });
+      this.dropSilentNodes();
+    }, NODE_ALIVE_INTERVAL);
+  }
+
+  isReady() {
+    return this.ready && this.redis.subscriber.connected;
+  }
+
+  // Ask the other nodes for what they hold (on startup and after a
+  // reconnect, when we may have missed changes)
+  hello() {
+    this.ready = true;
+    this.publish({ op: "hello" });
+  }
+
+  // Everything this node is the source of truth for
+  snapshot() {
+    const members = [];
+    const waiting = [];
+    const hosts = [];
+    this.rooms.forEach((room, roomId) => {
+      room.members.forEach((member) => {
+        if (member.nodeId === this.nodeId) {
+          members.push({ roomId: roomId, member: member });
+        }
+      });
+      room.waiting.forEach((entry) => {
+        if (entry.nodeId === this.nodeId) {
+          waiting.push({
+            roomId: roomId,
+            peerId: entry.peerId,
+            displayName: entry.displayName,
+          });
+        }
+      });
+      const host = room.host && room.members.get(room.host);
+      if (host && host.nodeId === this.nodeId) {
+        hosts.push({ roomId: roomId, peerId: host.peerId });
+      }
+    });
+    return { members: members, waiting: waiting, hosts: hosts };
+  }
+
+  change(event) {
+    super.change(event);
+    this.publish(event);
+  }
+
+  send(peerId, message) {
+    if (this.isLocal(peerId)) {
+      super.send(peerId, message);
+    } else {
+      this.publish({ op: "send", peerId: peerId, message: message });
+    }
+  }
+
+  broadcast(roomId, message, exceptPeerId) {
+    this.members(roomId).forEach((member) => {
+      if (member.nodeId === this.nodeId && member.peerId !== exceptPeerId) {
+        this.emit("deliver", member.peerId, message);
+      }
+    });
+    this.publish({
+      op: "broadcast",
+      roomId: roomId,
+      message: message,
+      except: exceptPeerId,
+    });
+  }
+
+  command(peerId, command) {
+    if (this.isLocal(peerId)) {
+      super.command(peerId, command);
+    } else {
+      this.publish({ op: "command", peerId: peerId, command: command });
+    }
+  }
+
+  close() {
+    clearInterval(this.aliveInterval);
+  }
+
+  // Is this peer connected to this node, as a member or knocking?
+  isLocal(peerId) {
+    for (const room of this.rooms.values()) {
+      const entry = room.members.get(peerId) || room.waiting.get(peerId);
+      if (entry) return entry.nodeId === this.nodeId;
+    }
+    return true; // unknown to everyone; let the server decide
+  }
+
+  publish(event) {
+    this.redis.commands
+      .publish(this.channel, JSON.stringify({ node: this.nodeId, ...event }))
+      .catch((error) => {
+        // Losing Redis is logged once by the client; the snapshots
+        // exchanged on reconnect make up for what was missed
+        if (!this.redis.commands.connected) return;
+        this.log.warn("Could not publish room event", {
+          op: event.op,
+          error: error.message,
+        });
+      });
+  }
+
+  onPublished(payload) {
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      this.log.warn("Ignoring malformed room event");
+      return;
+    }
+    if (event.node === this.nodeId) return; // applied when we made it
+
+    if (!this.nodes.has(event.node)) {
+      this.log.info("Node joined the cluster", { node: event.node });
+    }
+    this.nodes.set(event.node, Date.now());
+
+    switch (event.op) {
+      case "hello":
+        this.publish({ op: "snapshot", ...this.snapshot() });
+        break;
+      case "snapshot":
+        event.members.forEach(({ roomId, member }) => {
+          this.apply({ op: "add-member", roomId, member }, event.node);
+        });
+        event.waiting.forEach(({ roomId, peerId, displayName }) => {
+          this.apply(
+            { op: "add-waiting", roomId, peerId, displayName },
+            event.node
+          );
+        });
+        event.hosts.forEach(({ roomId, peerId }) => {
+          this.apply({ op: "set-host", roomId, peerId }, event.node);
+        });
+        break;
+      case "send":
+        if (this.isLocal(event.peerId)) {
+          this.emit("deliver", event.peerId, event.message);
+        }
+        break;
+      case "broadcast":
+        this.members(event.roomId).forEach((member) => {
+          if (member.nodeId === this.nodeId && member.peerId !== event.except) {
+            this.emit("deliver", member.peerId, event.message);
+          }
+        });
+        break;
+      case "command":
+        if (this.isLocal(event.peerId)) {
+          this.emit("command", event.peerId, event.command);
+        }
+        break;
+      case "alive":
+        break;
+      default:
+        this.apply(event, event.node);
+    }
+  }
+
+  // Forget nodes that stopped announcing themselves, and everyone on them
+  dropSilentNodes() {
+    const now = Date.now();
+    this.nodes.forEach((lastSeen, nodeId) => {
+      if (now - lastSeen < NODE_TIMEOUT) return;
+
+      this.log.warn("Node left the cluster", { node: nodeId });
+      this.nodes.delete(nodeId);
+
+      this.rooms.forEach((room, roomId) => {
+        room.members.forEach((member) => {
+          if (member.nodeId !== nodeId) return;
+          const wasHost = room.host === member.peerId;
+          this.apply({ op: "remove-member", roomId, peerId: member.peerId });
+          this.emit("member-lost", roomId, member, wasHost);
+        });
+        room.waiting.forEach((entry) => {
+          if (entry.nodeId !== nodeId) return;
+          this.apply({ op: "remove-waiting", roomId, peerId: entry.peerId });
+          this.emit("waiting-lost", roomId, entry.peerId);
+        });
+      });
+    });
+  }
+}
+
+function createRoomAdapter({ kind, redis, channel, log } = {}) {
+  if (!kind || kind === "memory") {
+    return new MemoryRoomAdapter();
+  }
+  if (kind !== "redis") {
+    throw new Error(`Unknown room adapter "${kind}" (use "memory" or "redis")`);
+  }
+  return new RedisRoomAdapter(redis, {
+    channel: channel || "signaling:rooms",
+    log: log,
+  });
+}
+
+module.exports = { MemoryRoomAdapter, RedisRoomAdapter, createRoomAdapter };
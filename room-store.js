@@ -0,0 +1,255 @@
+// room-store.js - Where room metadata lives, so rooms can outlive the process
+//
+// A room record looks like:
+//   {
+//     id, createdAt, expiresAt,
+//     claimed,     // the owner has connected at least once
+//     ownerToken,  // proves ownership; also used to reclaim host rights
+//     hostGrant,   // { peerId, token } for a host who isn't the owner, or null
+//     settings: { maxParticipants, passcode }  // passcode: { salt, hash } hex, or null
+//   }
+//
+// Only metadata is stored. Who is connected right now (WebSockets, the lobby,
+// the current host) is live state, kept by server.js and room-adapter.js.
+//
+// Stores are synchronous so the signaling code can look rooms up inline while
+// handling a message. Callers that change a record must save() it again.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Keeps records in a Map - rooms vanish on restart, like they used to
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> record
+  }
+
+  get(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  has(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  save(room) {
+    this.rooms.set(room.id, room);
+  }
+
+  delete(roomId) {
+    return this.rooms.delete(roomId);
+  }
+
+  list() {
+    return Array.from(this.rooms.values());
+  }
+
+  isReady() {
+    return true;
+  }
+}
+
+// Same as the memory store, but every change is written to a JSON file and
+// the file is read back on startup
+class FileRoomStore extends MemoryRoomStore {
+  constructor(filePath, log) {
+    super();
+    this.filePath = filePath;
+    this.log = log;
+    this.load();
+  }
+
+  // A file we can't read at all stops the server; starting empty would
+  // overwrite it at the next flush. One that reads but isn't a list of rooms
+  // is moved aside for a human to look at, and we start empty.
+  load() {
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      this.log.error("Could not read room store", {
+        path: this.filePath,
+        error: error,
+      });
+      throw error;
+    }
+
+    let records = null;
+    try {
+      records = JSON.parse(text);
+    } catch {
+      // Handled with the shape check below
+    }
+    if (!isRoomList(records)) {
+      const asidePath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, asidePath);
+      this.log.warn("Room store is corrupt, starting empty", {
+        path: this.filePath,
+        movedTo: asidePath,
+      });
+      return;
+    }
+
+    records.forEach((room) => this.rooms.set(room.id, room));
+    this.log.info("Loaded room store", {
+      path: this.filePath,
+      rooms: this.rooms.size,
+    });
+  }
+
+  save(room) {
+    super.save(room);
+    this.flush();
+  }
+
+  delete(roomId) {
+    const deleted = super.delete(roomId);
+    if (deleted) {
+      this.flush();
+    }
+    return deleted;
+  }
+
+  // Write to a temp file and rename it over the old one, so a crash mid-write
+  // never leaves a half-written store behind. Owner tokens are in here, so
+  // keep the file private. A failed write (disk full, permissions) is
+  // logged; the rooms are still in memory and the next flush tries again.
+  flush() {
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(this.list()), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      this.log.error("Could not write room store", {
+        path: this.filePath,
+        error: error,
+      });
+    }
+  }
+}
+
+// What FileRoomStore writes: an array of room records
+function isRoomList(records) {
+  return (
+    Array.isArray(records) &&
+    records.every(
+      (room) => room && typeof room === "object" && typeof room.id === "string"
+    )
+  );
+}
+
+// Records live in a Redis hash shared by every server node. Each node keeps
+// a copy in memory so lookups stay synchronous: it's loaded on every
+// (re)connect and kept current by the change messages other nodes publish.
+// Writes go out to Redis in the background.
+class RedisRoomStore extends MemoryRoomStore {
+  constructor(redis, { key, log }) {
+    super();
+    this.redis = redis;
+    this.key = key;
+    this.channel = `${key}:changes`;
+    this.log = log;
+    this.nodeId = crypto.randomBytes(4).toString("hex");
+    this.loaded = false;
+
+    this.redis.subscriber.subscribe(this.channel, (payload) =>
+      this.onChange(payload)
+    );
+    this.redis.subscriber.on("ready", () => this.load());
+  }
+
+  isReady() {
+    return this.loaded;
+  }
+
+  async load() {
+    try {
+      const reply = await this.redis.commands.command("HGETALL", this.key);
+      const rooms = new Map();
+      for (let i = 0; i < reply.length; i += 2) {
+        rooms.set(reply[i], JSON.parse(reply[i + 1]));
+      }
+      this.rooms = rooms;
+      this.loaded = true;
+      this.log.info("Loaded room store", { key: this.key, rooms: rooms.size });
+    } catch (error) {
+      this.log.error("Could not read room store", {
+        key: this.key,
+        error: error,
+      });
+    }
+  }
+
+  save(room) {
+    super.save(room);
+    this.write(["HSET", this.key, room.id, JSON.stringify(room)], {
+      op: "save",
+      room: room,
+    });
+  }
+
+  delete(roomId) {
+    const deleted = super.delete(roomId);
+    if (deleted) {
+      this.write(["HDEL", this.key, roomId], { op: "delete", roomId: roomId });
+    }
+    return deleted;
+  }
+
+  async write(args, change) {
+    try {
+      await this.redis.commands.command(...args);
+      await this.redis.commands.publish(
+        this.channel,
+        JSON.stringify({ node: this.nodeId, ...change })
+      );
+    } catch (error) {
+      this.log.error("Could not write room store", {
+        key: this.key,
+        error: error,
+      });
+    }
+  }
+
+  onChange(payload) {
+    let change;
+    try {
+      change = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    // Our own writes are already in the map (and may be newer than this)
+    if (change.node === this.nodeId) return;
+
+    if (change.op === "save") {
+      this.rooms.set(change.room.id, change.room);
+    } else if (change.op === "delete") {
+      this.rooms.delete(change.roomId);
+    }
+  }
+}
+
+// Pick a store from configuration: "memory", "redis" or "file" (the default)
+function createRoomStore({ kind, filePath, log, redis, prefix } = {}) {
+  if (kind === "memory") {
+    return new MemoryRoomStore();
+  }
+  if (kind === "redis") {
+    return new RedisRoomStore(redis, { key: `${prefix}:rooms`, log: log });
+  }
+  if (kind && kind !== "file") {
+    throw new Error(
+      `Unknown room store "${kind}" (use "memory", "file" or "redis")`
+    );
+  }
+  return new FileRoomStore(filePath || path.join(".data", "rooms.json"), log);
+}
+
+module.exports = {
+  MemoryRoomStore,
+  FileRoomStore,
+  RedisRoomStore,
+  createRoomStore,
+};
@@ -1,16 +1,133 @@
 // server.js - WebSocket signaling server for WebRTC with reconnection support
-const clientMuteStatus = new Map(); // client WebSocket -> boolean (isMuted)
+// client WebSocket -> { isMuted, isVideo, isSharing }, from "media-state"
+const clientMediaState = new Map();
+const crypto = require("crypto");
 const express = require("express");
 const http = require("http");
+const { promisify } = require("util");
 const WebSocket = require("ws");
+const { createRoomStore } = require("./room-store");
+const { createRoomAdapter } = require("./room-adapter");
+const { createRedisClients } = require("./redis-client");
+const { validateMessage } = require("./message-schemas");
+const { Registry } = require("./metrics");
+const { createLogger } = require("./logger");
+
+// LOG_LEVEL=debug|info|warn|error, LOG_FORMAT=json for log pipelines
+const log = createLogger({
+  level: process.env.LOG_LEVEL,
+  format: process.env.LOG_FORMAT,
+});
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Anything bigger than this is not a signaling message; ws closes the
+// connection (code 1009) rather than buffering it
+const MAX_MESSAGE_SIZE = 64 * 1024; // 64 KB
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_SIZE });
+
+// Sites allowed to put the call page in an iframe (embed-sdk.js), e.g.
+// EMBED_ORIGINS=https://portal.example.com,https://intranet.example.org.
+// Only exact origins - they go straight into a CSP header.
+const EMBED_ORIGINS = splitList(process.env.EMBED_ORIGINS)
+  .map((value) => {
+    try {
+      const origin = new URL(value).origin;
+      if (origin !== "null") return origin;
+    } catch {
+      // Reported below
+    }
+    log.warn("Ignoring invalid EMBED_ORIGINS entry", { value: value });
+    return null;
+  })
+  .filter(Boolean);
+const CALL_FRAME_ANCESTORS = ["'self'", ...EMBED_ORIGINS].join(" ");
+
+// Nothing else gets framed by other sites
+app.use((req, res, next) => {
+  const ancestors = req.path === "/call.html" ? CALL_FRAME_ANCESTORS : "'self'";
+  res.setHeader("Content-Security-Policy", `frame-ancestors ${ancestors}`);
+  next();
+});
 
 // Serve static files from current directory
 app.use(express.static("."));
 
+// A user reporting a bad call uploads the log their browser kept. Reports are
+// bigger than anything else we accept, so this route parses its own body
+// ahead of the general limit. Each report is written as one log line.
+app.post("/api/client-logs", express.json({ limit: "1mb" }), (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.entries)) {
+    res.status(400).json({ error: "entries must be an array" });
+    return;
+  }
+  if (isClientLogThrottled(clientIp(req))) {
+    res.status(429).json({ error: "Too many reports, try again later" });
+    return;
+  }
+
+  const reportId = crypto.randomBytes(6).toString("hex");
+  log.warn("Client log report", {
+    source: "client",
+    report: reportId,
+    room: clientLogString(body.roomId, 64),
+    peer: clientLogString(body.peerId, 64),
+    note: clientLogString(body.note, 1000),
+    userAgent: clientLogString(req.get("User-Agent"), 256),
+    entries: body.entries.slice(-CLIENT_LOG_MAX_ENTRIES).map(clientLogEntry),
+  });
+
+  res.status(201).json({ reportId: reportId });
+});
+
+app.use(express.json({ limit: "10kb" }));
+
+// Mint a new room: the server picks the ID so codes can't collide or be
+// claimed by someone who merely guessed them
+app.post("/api/rooms", async (req, res) => {
+  const body = req.body || {};
+  const passcode = typeof body.passcode === "string" ? body.passcode : "";
+
+  if (passcode && (passcode.length < 4 || passcode.length > 64)) {
+    res
+      .status(400)
+      .json({ error: "Passcode must be between 4 and 64 characters" });
+    return;
+  }
+  if (isRoomMintThrottled(clientIp(req))) {
+    log.warn("Too many rooms minted", { ip: clientIp(req) });
+    res.status(429).json({ error: "Too many new rooms, try again later" });
+    return;
+  }
+
+  // Hashed before the ID is picked, so nothing can take it in the meantime
+  const passcodeHash = passcode ? await hashPasscode(passcode) : null;
+  const roomId = mintRoomId();
+  const ownerToken = crypto.randomBytes(24).toString("base64url");
+  const now = Date.now();
+
+  roomStore.save({
+    id: roomId,
+    createdAt: now,
+    // Short lease until the owner actually shows up
+    expiresAt: now + UNCLAIMED_ROOM_TTL,
+    claimed: false,
+    ownerToken: ownerToken,
+    // Whoever else holds host rights gets a token of their own
+    hostGrant: null,
+    settings: {
+      maxParticipants: clampParticipants(body.maxParticipants),
+      // Only a salted hash is kept, never the passcode itself
+      passcode: passcodeHash,
+    },
+  });
+  log.info("Room minted", { room: roomId });
+  notifyAdmins();
+
+  res.status(201).json({ roomId: roomId, ownerToken: ownerToken });
+});
+
 // ✨ NEW: API endpoint to check if a room exists
 app.get("/api/check-room", (req, res) => {
   // Get the roomId from the URL query parameter
@@ -19,19 +136,281 @@ app.get("/api/check-room", (req, res) => {
   const roomId = req.query.roomId;
 
   // Check if this room was properly created
-  const exists = validRooms.has(roomId);
+  const record = roomStore.get(roomId);
 
   // Send back a JSON response
   // This is like the server saying "yes" or "no"
-  res.json({ exists: exists });
+  res.json({
+    exists: !!record,
+    passcodeRequired: !!(record && record.settings.passcode),
+  });
+});
+
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require it as a bearer
+// token when the port is reachable from outside.
+app.get("/metrics", (req, res) => {
+  const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+  if (METRICS_TOKEN && !tokensMatch(token, METRICS_TOKEN)) {
+    res.status(401).end();
+    return;
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(metrics.render());
+});
+
+// Liveness: the process is up and serving HTTP
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+// Readiness: listening for connections, with the room store loaded and the
+// adapter in touch with the other nodes
+app.get("/readyz", (req, res) => {
+  if (!roomStore.isReady()) {
+    res.status(503).json({ status: "unavailable", reason: "room-store" });
+    return;
+  }
+  if (!roomAdapter.isReady()) {
+    res.status(503).json({ status: "unavailable", reason: "room-adapter" });
+    return;
+  }
+  if (!server.listening) {
+    res.status(503).json({ status: "unavailable", reason: "starting" });
+    return;
+  }
+  res.json({ status: "ok" });
+});
+
+// Admin API: operators watch and manage live rooms. Disabled unless
+// ADMIN_TOKEN is set; every request must present it as a bearer token.
+const admin = express.Router();
+app.use("/api/admin", requireAdmin, admin);
+
+admin.get("/rooms", (req, res) => {
+  res.json({ rooms: adminRoomList() });
+});
+
+admin.get("/rooms/:roomId", (req, res) => {
+  const details = adminRoomDetails(req.params.roomId);
+  if (!details) {
+    res.status(404).json({ error: "Room not found" });
+    return;
+  }
+  res.json(details);
+});
+
+admin.delete("/rooms/:roomId", (req, res) => {
+  if (!roomStore.has(req.params.roomId)) {
+    res.status(404).json({ error: "Room not found" });
+    return;
+  }
+  log.info("Admin closed room", { room: req.params.roomId });
+  closeRoom(req.params.roomId);
+  res.status(204).end();
+});
+
+admin.delete("/rooms/:roomId/participants/:peerId", (req, res) => {
+  const { roomId, peerId } = req.params;
+  if (!roomAdapter.member(roomId, peerId)) {
+    res.status(404).json({ error: "Participant not found" });
+    return;
+  }
+  log.info("Admin removed participant", { room: roomId, target: peerId });
+  revokeHostGrant(roomId, peerId);
+  roomAdapter.command(peerId, { type: "remove" });
+  res.status(204).end();
+});
+
+// Live updates: a full room list whenever something changes
+admin.get("/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  res.write(`event: rooms\ndata: ${JSON.stringify(adminRoomList())}\n\n`);
+  adminStreams.add(res);
+  req.on("close", () => {
+    adminStreams.delete(res);
+  });
 });
 
-// Store connected clients and room information
-const rooms = new Map(); // roomId -> Set of client WebSockets
+// Several server processes can share rooms through Redis (REDIS_URL):
+// ROOM_STORE=redis shares the room records, ROOM_ADAPTER=redis shares who is
+// in each room and relays messages between the processes.
+const REDIS_PREFIX = process.env.REDIS_PREFIX || "signaling";
+const redis =
+  process.env.ROOM_STORE === "redis" || process.env.ROOM_ADAPTER === "redis"
+    ? createRedisClients(process.env.REDIS_URL, log)
+    : null;
+
+// Room metadata (owner, settings, expiry) lives in the room store so rooms
+// survive a restart. ROOM_STORE=memory keeps everything in process instead.
+const roomStore = createRoomStore({
+  kind: process.env.ROOM_STORE,
+  filePath: process.env.ROOM_STORE_PATH,
+  log: log,
+  redis: redis,
+  prefix: REDIS_PREFIX,
+});
+
+// Membership (who's in, who's host, who's knocking) and message relay
+const roomAdapter = createRoomAdapter({
+  kind: process.env.ROOM_ADAPTER,
+  redis: redis,
+  channel: `${REDIS_PREFIX}:members`,
+  log: log,
+});
+roomAdapter.on("deliver", deliverToPeer);
+roomAdapter.on("command", handleCommand);
+roomAdapter.on("member-lost", handleMemberLost);
+roomAdapter.on("waiting-lost", handleWaitingLost);
+roomAdapter.on("change", notifyAdmins);
+
+if (
+  process.env.ROOM_ADAPTER === "redis" &&
+  process.env.ROOM_STORE !== "redis"
+) {
+  log.warn(
+    "ROOM_ADAPTER=redis without ROOM_STORE=redis - other nodes won't find rooms minted here"
+  );
+}
+
+// Connections to this process. Room-wide state is in roomAdapter.
+const rooms = new Map(); // roomId -> Set of member WebSockets on this node
 const clientRooms = new Map(); // client WebSocket -> roomId
-const validRooms = new Set();
+const waitingClients = new Map(); // client WebSocket -> roomId it's knocking on
+const peerSockets = new Map(); // peerId -> WebSocket, for adapter deliveries
+// resumeToken -> member WebSocket. A dropped member keeps its seat for the
+// grace period, and a reconnect presenting the token takes it back.
+const seatTokens = new Map();
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const adminStreams = new Set(); // open Server-Sent Events responses
+let adminNotifyTimer = null;
+// Proxies drop idle connections, so keep the event streams talking
+const ADMIN_KEEPALIVE_INTERVAL = 25000; // 25 seconds
+
+// Metrics for /metrics. Gauges are read when Prometheus scrapes.
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const metrics = new Registry();
+metrics.gauge(
+  "signaling_websocket_connections",
+  "Open WebSocket connections",
+  () => wss.clients.size
+);
+metrics.gauge("signaling_rooms", "Rooms by state", () => [
+  { labels: { state: "active" }, value: rooms.size },
+  { labels: { state: "stored" }, value: roomStore.list().length },
+]);
+metrics.gauge("signaling_participants", "Participants in rooms", () =>
+  Array.from(rooms.values()).reduce((total, room) => total + room.size, 0)
+);
+metrics.gauge(
+  "signaling_waiting_clients",
+  "Clients knocking in a lobby",
+  () => waitingClients.size
+);
+const joinsTotal = metrics.counter(
+  "signaling_joins_total",
+  "Clients placed in a room, by how they got there"
+);
+const joinRejectionsTotal = metrics.counter(
+  "signaling_join_rejections_total",
+  "Joins turned away, by error code"
+);
+const messagesTotal = metrics.counter(
+  "signaling_messages_total",
+  "Valid messages received from clients, by type"
+);
+const messagesRejectedTotal = metrics.counter(
+  "signaling_messages_rejected_total",
+  "Messages dropped before handling, by error code"
+);
+const messagesRelayedTotal = metrics.counter(
+  "signaling_messages_relayed_total",
+  "Messages delivered to other clients, by type"
+);
+const heartbeatTerminationsTotal = metrics.counter(
+  "signaling_heartbeat_terminations_total",
+  "Connections terminated for missing a heartbeat"
+);
+const callDurationSeconds = metrics.histogram(
+  "signaling_call_duration_seconds",
+  "Time each participant spent in a room",
+  [30, 60, 300, 600, 1800, 3600, 7200, 14400]
+);
+
+// Token bucket per connection: bursts up to RATE_LIMIT_BURST messages (ICE
+// candidates come in bunches when a call starts), then RATE_LIMIT_PER_SECOND
+const RATE_LIMIT_BURST = 100;
+const RATE_LIMIT_PER_SECOND = 20;
+
+// Client log reports per IP address, and what's kept of each report
+const CLIENT_LOG_MAX_REPORTS = 5;
+const CLIENT_LOG_WINDOW = 60 * 60 * 1000; // 1 hour
+const CLIENT_LOG_MAX_ENTRIES = 500;
+const clientLogReports = new Map(); // ip -> { count, resetAt }
+
+// Rooms minted per IP address. Each one costs a passcode hash and a store
+// write, so a script hammering POST /api/rooms shouldn't get far.
+const ROOM_MINT_MAX_PER_IP = 20;
+const ROOM_MINT_WINDOW = 10 * 60 * 1000; // 10 minutes
+const roomMints = new Map(); // ip -> { count, resetAt }
+
+// Throttle passcode guessing, both per connection and per IP address
+const PASSCODE_MAX_FAILURES_PER_CONNECTION = 5;
+const PASSCODE_MAX_FAILURES_PER_IP = 10;
+const PASSCODE_FAILURE_WINDOW = 15 * 60 * 1000; // 15 minutes
+const passcodeFailures = new Map(); // ip -> { count, resetAt }
+// scrypt takes tens of milliseconds; the async one keeps other calls moving
+const scrypt = promisify(crypto.scrypt);
+
+// Mesh topology: every participant holds a peer connection to every other one,
+// so keep the cap small. Rooms can ask for less, never for more.
+const MAX_PARTICIPANTS = parseInt(process.env.MAX_PARTICIPANTS, 10) || 6;
+const MIN_PARTICIPANTS = 2;
+
+// Display names: whatever the user typed, minus anything that isn't
+// visible text (control characters, bidi overrides, zero-width tricks)
+const DISPLAY_NAME_MAX_LENGTH = 32;
+const DISPLAY_NAME_INVISIBLE = /[^\p{L}\p{M}\p{N}\p{P}\p{S}\p{Zs}]/gu;
+
+// Room IDs: lowercase letters and digits, so they survive the join form
+const ROOM_ID_LENGTH = 10;
+const ROOM_ID_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+// Minted rooms the owner never connects to are dropped after this long
+const UNCLAIMED_ROOM_TTL = 10 * 60 * 1000; // 10 minutes
+// Claimed rooms stay joinable this long after the last join
+const ROOM_TTL =
+  (parseFloat(process.env.ROOM_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// ICE configuration: comma-separated STUN and TURN URLs, and the secret
+// shared with the TURN server (coturn's static-auth-secret)
+const STUN_URLS = splitList(
+  process.env.STUN_URLS ||
+    "stun:stun1.l.google.com:19302,stun:stun2.l.google.com:19302"
+);
+const TURN_URLS = splitList(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET;
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_TTL_SECONDS, 10) || 3600;
+// "relay" forces all media through TURN, hiding participants' IP addresses
+const ICE_TRANSPORT_POLICY =
+  process.env.ICE_TRANSPORT_POLICY === "relay" ? "relay" : "all";
+
+if (TURN_URLS.length > 0 && !TURN_SECRET) {
+  log.warn("TURN_URLS is set but TURN_SECRET isn't - TURN disabled");
+}
+if (ICE_TRANSPORT_POLICY === "relay" && !(TURN_URLS.length && TURN_SECRET)) {
+  log.warn("Relay-only ICE policy without TURN - calls can't connect");
+}
+
 // Heartbeat to detect disconnected clients
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+// How long a dropped connection's seat (and role) is held for it
+const RESUME_GRACE_PERIOD =
+  (parseFloat(process.env.RESUME_GRACE_SECONDS) || 30) * 1000;
 
 // Clean up any closed/dead connections from a room
 function cleanupRoom(roomId) {
@@ -52,38 +431,110 @@ function cleanupRoom(roomId) {
   }
 }
 
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
+  // Every connection gets its own peer ID, used to route signaling messages.
+  // The connection ID is only for logs: a resumed seat keeps its peer ID
+  // but arrives on a new connection.
+  ws.peerId = crypto.randomUUID();
+  ws.connId = crypto.randomBytes(4).toString("hex");
+  peerSockets.set(ws.peerId, ws);
+  ws.ip = clientIp(req);
+  ws.passcodeFailures = 0;
+  ws.rateTokens = RATE_LIMIT_BURST;
+  ws.rateRefilledAt = Date.now();
+  connLog(ws).info("Client connected", { ip: ws.ip });
+
   // Setup heartbeat
   ws.isAlive = true;
   ws.on("pong", () => {
     ws.isAlive = true;
   });
 
+  // Oversized or malformed frames end up here. ws closes the connection
+  // itself and the close handler below cleans up; without a listener the
+  // error would take the whole process down.
+  ws.on("error", (error) => {
+    connLog(ws).warn("Connection error", { error: error.message });
+  });
+
   ws.on("message", (message) => {
+    if (!takeRateToken(ws)) {
+      messagesRejectedTotal.inc({ code: "rate-limited" });
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch {
+      messagesRejectedTotal.inc({ code: "bad-json" });
+      sendError(ws, "bad-json", "Message is not valid JSON");
+      return;
+    }
+
+    // Only schema-checked copies go any further, so nothing a client makes
+    // up gets relayed to its peers
+    const result = validateMessage(data);
+    if (!result.ok) {
+      connLog(ws).warn("Rejected message", { reason: result.error });
+      messagesRejectedTotal.inc({ code: result.code });
+      sendError(ws, result.code, result.error);
+      return;
+    }
+    data = result.message;
+    messagesTotal.inc({ type: data.type });
+
     try {
-      const data = JSON.parse(message);
       switch (data.type) {
         case "create-room": // ✨ NEW
-          handleCreateRoom(ws, data.roomId);
+          handleCreateRoom(
+            ws,
+            data.roomId,
+            data.ownerToken,
+            data.displayName
+          ).catch((error) => handleMessageError(ws, data, error));
           break;
         case "join":
-          handleJoin(ws, data.roomId);
+          handleJoin(
+            ws,
+            data.roomId,
+            data.hostToken,
+            data.passcode,
+            data.resumeToken,
+            data.displayName
+          ).catch((error) => handleMessageError(ws, data, error));
+          break;
+
+        case "leave":
+          handleDisconnect(ws);
+          break;
+
+        case "admit":
+          handleAdmit(ws, data.peerId);
+          break;
+
+        case "deny":
+          handleDeny(ws, data.peerId);
+          break;
+
+        case "kick":
+          handleKick(ws, data.peerId);
           break;
 
         case "offer":
-          broadcastToRoom(ws, data);
+          sendToPeer(ws, data);
           break;
 
         case "answer":
-          broadcastToRoom(ws, data);
+          sendToPeer(ws, data);
           break;
 
         case "ice-candidate":
-          broadcastToRoom(ws, data);
+          sendToPeer(ws, data);
           break;
 
         case "restart":
-          broadcastToRoom(ws, data);
+          sendToPeer(ws, data);
           break;
 
         case "check-peer":
@@ -94,29 +545,60 @@ wss.on("connection", (ws) => {
           broadcastToRoom(ws, data);
           break;
 
-        case "mute-status":
-          // 🆕 Store the mute status for this client
-          clientMuteStatus.set(ws, data.isMuted);
-          console.log(`🎤 User mute status updated: ${data.isMuted}`);
-          broadcastToRoom(ws, data);
+        case "media-state":
+          handleMediaState(ws, data);
+          break;
+
+        case "recording-status":
+          handleRecordingStatus(ws, data);
           break;
 
-        default:
-          console.log("Unknown message type:", data.type);
+        case "chat":
+          sendToPeer(ws, data);
+          break;
+
+        case "ice-servers":
+          handleIceServersRequest(ws);
+          break;
       }
-    } catch {}
+    } catch (error) {
+      handleMessageError(ws, data, error);
+    }
   });
 
-  ws.on("close", () => {
-    handleDisconnect(ws);
+  ws.on("close", (code) => {
+    connLog(ws).debug("Connection closed", { code: code });
+
+    // Taken over by a newer connection - that one owns the seat now
+    if (ws.replaced) return;
+
+    // Dropped mid-call (as opposed to leaving) - keep the seat warm for a bit
+    if (clientRooms.has(ws)) {
+      holdSeat(ws);
+    } else {
+      handleDisconnect(ws);
+      forgetPeer(ws);
+    }
   });
 });
 
 // Heartbeat interval to detect dead connections
 const heartbeatInterval = setInterval(() => {
+  pruneFailedPasscodes();
+  pruneClientLogReports();
+  pruneRoomMints();
+  // Runs on a timer, where anything thrown would end the process
+  try {
+    pruneExpiredRooms();
+  } catch (error) {
+    log.error("Could not prune expired rooms", { error: error });
+  }
+
   wss.clients.forEach((ws) => {
+    // The close handler takes it from here
     if (ws.isAlive === false) {
-      handleDisconnect(ws);
+      connLog(ws).info("Missed a heartbeat, terminating");
+      heartbeatTerminationsTotal.inc();
       return ws.terminate();
     }
 
@@ -125,140 +607,831 @@ const heartbeatInterval = setInterval(() => {
   });
 }, HEARTBEAT_INTERVAL);
 
+const adminKeepaliveInterval = setInterval(() => {
+  adminStreams.forEach((res) => res.write(": keepalive\n\n"));
+}, ADMIN_KEEPALIVE_INTERVAL);
+
 wss.on("close", () => {
   clearInterval(heartbeatInterval);
+  clearInterval(adminKeepaliveInterval);
 });
 
-// Create a new room (only called by room creator)
-function handleCreateRoom(ws, roomId) {
-  console.log(`🏠 Creating room: ${roomId}`);
-  // Mark this room as valid
-  validRooms.add(roomId);
-  console.log(`✅ Valid rooms:`, Array.from(validRooms));
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Spend a token for an incoming message. Over the limit, messages are dropped
+// and the client hears about it once until its bucket refills.
+function takeRateToken(ws) {
+  const now = Date.now();
+  ws.rateTokens = Math.min(
+    RATE_LIMIT_BURST,
+    ws.rateTokens + ((now - ws.rateRefilledAt) / 1000) * RATE_LIMIT_PER_SECOND
+  );
+  ws.rateRefilledAt = now;
+
+  if (ws.rateTokens < 1) {
+    if (!ws.rateLimited) {
+      ws.rateLimited = true;
+      connLog(ws).warn("Rate limiting client", { ip: ws.ip });
+      sendError(ws, "rate-limited", "Too many messages, slow down");
+    }
+    return false;
+  }
+
+  ws.rateTokens--;
+  ws.rateLimited = false;
+  return true;
+}
+
+// Logger for everything about one client: its connection, peer and room
+function connLog(ws) {
+  return log.child({
+    conn: ws.connId,
+    peer: ws.peerId,
+    room: clientRooms.get(ws) || waitingClients.get(ws),
+  });
+}
+
+// Every error a client gets carries a machine-readable code
+function sendError(ws, code, message, extra) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(
+    JSON.stringify({ type: "error", code: code, message: message, ...extra })
+  );
+}
+
+// A handler threw (or its promise rejected) - tell the client, keep going
+function handleMessageError(ws, data, error) {
+  connLog(ws).error("Error handling message", {
+    type: data.type,
+    error: error,
+  });
+  sendError(ws, "internal-error", "Something went wrong");
+}
+
+// sendError for a join that didn't get the client into the room
+function rejectJoin(ws, code, message, extra) {
+  joinRejectionsTotal.inc({ code: code });
+  sendError(ws, code, message, extra);
+}
+
+// Behind a reverse proxy the real address is in X-Forwarded-For
+function clientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Random room ID from crypto.randomBytes, retried until it's unused
+function mintRoomId() {
+  // Bytes at or above this would bias the modulo towards early letters
+  const limit = 256 - (256 % ROOM_ID_ALPHABET.length);
+  let roomId;
+  do {
+    roomId = "";
+    while (roomId.length < ROOM_ID_LENGTH) {
+      for (const byte of crypto.randomBytes(ROOM_ID_LENGTH)) {
+        if (byte < limit && roomId.length < ROOM_ID_LENGTH) {
+          roomId += ROOM_ID_ALPHABET[byte % ROOM_ID_ALPHABET.length];
+        }
+      }
+    }
+  } while (roomStore.has(roomId));
+  return roomId;
+}
+
+// Clamp the requested size to what a mesh call can handle
+function clampParticipants(maxParticipants) {
+  const requested = parseInt(maxParticipants, 10) || MAX_PARTICIPANTS;
+  return Math.min(Math.max(requested, MIN_PARTICIPANTS), MAX_PARTICIPANTS);
+}
+
+// Owner claims a room minted by POST /api/rooms (only called by room creator)
+async function handleCreateRoom(ws, roomId, ownerToken, displayName) {
+  const record = roomStore.get(roomId);
+
+  if (!record || !tokensMatch(ownerToken, record.ownerToken)) {
+    connLog(ws).warn("Rejected create-room: bad owner token", {
+      room: roomId,
+    });
+    rejectJoin(ws, "invalid-owner-token", "Room does not exist", {
+      redirect: true,
+    });
+    return;
+  }
+
+  connLog(ws).info("Owner claimed room", { room: roomId });
 
   // Now join the room
-  handleJoin(ws, roomId);
+  await handleJoin(ws, roomId, ownerToken, null, null, displayName);
+}
+
+// Drop rooms whose lease ran out (including minted rooms nobody claimed).
+// Rooms with people in them get their lease extended instead.
+function pruneExpiredRooms() {
+  const now = Date.now();
+  roomStore.list().forEach((record) => {
+    if (record.expiresAt > now) return;
+
+    if (roomAdapter.members(record.id).length > 0) {
+      record.expiresAt = now + ROOM_TTL;
+      roomStore.save(record);
+      return;
+    }
+
+    log.info("Room deleted", {
+      room: record.id,
+      reason: record.claimed ? "expired" : "never claimed",
+    });
+    deleteRoom(record.id);
+  });
 }
+
 // Handle client joining a room
-function handleJoin(ws, roomId) {
-  console.log(`👤 User attempting to join room: ${roomId}`);
+async function handleJoin(
+  ws,
+  roomId,
+  hostToken,
+  passcode,
+  resumeToken,
+  displayName
+) {
+  connLog(ws).debug("Join requested", { room: roomId });
+  ws.displayName = sanitizeDisplayName(displayName);
 
-  // Leave current room if in one
+  // Leave current room if in one. Mic and camera state set before joining
+  // (or while in the old room) stays with the connection.
+  const mediaState = clientMediaState.get(ws);
   handleDisconnect(ws);
+  if (mediaState) {
+    clientMediaState.set(ws, mediaState);
+  }
+  // Checking a passcode takes a while; a newer join, a leave or a closed
+  // connection in the meantime makes this one moot
+  const attempt = {};
+  ws.pendingJoin = attempt;
 
   // Check if room is valid (was properly created)
-  if (!validRooms.has(roomId)) {
-    console.log(`❌ Room ${roomId} does not exist in validRooms`);
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "Room does not exist",
-        redirect: true,
-      })
-    );
+  let record = roomStore.get(roomId);
+  if (!record) {
+    connLog(ws).info("Join rejected: room does not exist", { room: roomId });
+    rejectJoin(ws, "room-not-found", "Room does not exist", { redirect: true });
     return;
   }
 
-  console.log(`✅ Room ${roomId} is valid`);
-
-  // Create room if it doesn't exist
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, new Set());
-    console.log(`📦 Created new room Map entry for ${roomId}`);
+  // Coming back from a dropped connection - straight back into the old seat.
+  // Seats are held by the node the connection was on; a reconnect that lands
+  // on another node joins as someone new.
+  const seat = resumeToken && seatTokens.get(resumeToken);
+  if (seat && clientRooms.get(seat) === roomId) {
+    resumeSeat(ws, seat);
+    return;
   }
 
-  const room = rooms.get(roomId);
-
   // ✅ IMPROVED: More aggressive cleanup of dead connections
+  const room = rooms.get(roomId) || new Set();
   const deadConnections = [];
   room.forEach((client) => {
-    if (client.readyState !== WebSocket.OPEN) {
+    // Held seats are closed on purpose; they clear themselves when they expire
+    if (client.readyState !== WebSocket.OPEN && !client.seatTimeout) {
       deadConnections.push(client);
     }
   });
 
   deadConnections.forEach((client) => {
-    console.log(`🧹 Removing dead connection from room`);
+    connLog(client).debug("Removing dead connection from room");
     room.delete(client);
     clientRooms.delete(client);
+    roomAdapter.removeMember(roomId, client.peerId);
   });
 
-  console.log(`🧹 After cleanup, room size: ${room.size}`);
+  const isOwner = tokensMatch(hostToken, record.ownerToken);
+  const isHost =
+    isOwner ||
+    (!!record.hostGrant && tokensMatch(hostToken, record.hostGrant.token));
+
+  // The host token stands in for the passcode
+  if (record.settings.passcode && !isHost) {
+    const passed = await checkPasscode(ws, record.settings.passcode, passcode);
+    if (!passed || ws.pendingJoin !== attempt) return;
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // The room may have been closed or changed while we waited
+    record = roomStore.get(roomId);
+    if (!record) {
+      rejectJoin(ws, "room-not-found", "Room does not exist", {
+        redirect: true,
+      });
+      return;
+    }
+  }
+  ws.pendingJoin = null;
+
+  if (isRoomFull(roomId)) {
+    connLog(ws).info("Join rejected: room is full", { room: roomId });
+    rejectJoin(ws, "room-full", "Room is full");
+    return;
+  }
 
-  // Check if room is full (limit to 2 users for 1-on-1 call)
-  if (room.size >= 2) {
-    console.log(`⛔ Room ${roomId} is full`);
-    ws.send(JSON.stringify({ type: "error", message: "Room is full" }));
+  // The host gets straight in. Everyone else knocks, and waits in the lobby
+  // if the host hasn't arrived yet. If the host vanished from a busy room,
+  // the next person in takes over.
+  const hostPresent = roomAdapter.host(roomId) !== null;
+  const empty = roomAdapter.members(roomId).length === 0;
+
+  if (!isHost && (hostPresent || empty)) {
+    handleKnock(ws, roomId);
     return;
   }
 
-  const isInitiator = room.size === 0;
-  console.log(
-    `🎯 User is initiator: ${isInitiator}, room size before add: ${room.size}`
+  // Someone's in, so the room is in use: claim it and push out its expiry
+  record.claimed = true;
+  record.expiresAt = Date.now() + ROOM_TTL;
+  roomStore.save(record);
+
+  addToRoom(ws, roomId);
+  setRoomHost(roomId, ws.peerId, isOwner);
+}
+
+// Returns the cleaned-up name, or null if nothing usable is left
+function sanitizeDisplayName(value) {
+  if (typeof value !== "string") return null;
+  const name = Array.from(
+    value
+      .normalize("NFC")
+      .replace(DISPLAY_NAME_INVISIBLE, "")
+      .replace(/\s+/g, " ")
+      .trim()
+  )
+    .slice(0, DISPLAY_NAME_MAX_LENGTH)
+    .join("")
+    .trim();
+  return name || null;
+}
+
+// Mic, camera and screen share in one go. Kept so late joiners can be told
+// (see addToRoom), and passed on to the room as it changes.
+function handleMediaState(ws, data) {
+  const state = {
+    isMuted: data.isMuted,
+    isVideo: data.isVideo,
+    isSharing: data.isSharing,
+  };
+  clientMediaState.set(ws, state);
+  connLog(ws).debug("Media state updated", state);
+
+  if (clientRooms.has(ws)) {
+    roomAdapter.updateMember(clientRooms.get(ws), ws.peerId, state);
+    notifyAdmins();
+    broadcastToRoom(ws, data);
+  }
+}
+
+// Everyone has to know the call is being recorded, including whoever joins
+// later (see addToRoom)
+function handleRecordingStatus(ws, data) {
+  const roomId = clientRooms.get(ws);
+  if (!roomId) return;
+
+  connLog(ws).info(
+    data.isRecording ? "Started recording" : "Stopped recording"
+  );
+  roomAdapter.updateMember(roomId, ws.peerId, {
+    isRecording: data.isRecording,
+  });
+  broadcastToRoom(ws, data);
+}
+
+// Compare secrets without leaking how much of them matched
+function tokensMatch(given, expected) {
+  if (typeof given !== "string" || typeof expected !== "string") {
+    return false;
+  }
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Hex-encoded so the result can go straight into the room store
+async function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(passcode, salt, 32);
+  return { salt: salt.toString("hex"), hash: hash.toString("hex") };
+}
+
+// Verify a join's passcode, sending the right error if it's missing or wrong
+async function checkPasscode(ws, stored, passcode) {
+  if (isPasscodeThrottled(ws)) {
+    connLog(ws).warn("Too many wrong passcodes", { ip: ws.ip });
+    rejectJoin(
+      ws,
+      "too-many-attempts",
+      "Too many wrong passcodes. Please try again later."
+    );
+    return false;
+  }
+
+  if (typeof passcode !== "string" || passcode.length === 0) {
+    rejectJoin(ws, "passcode-required", "This room needs a passcode");
+    return false;
+  }
+
+  const hash = await scrypt(passcode, Buffer.from(stored.salt, "hex"), 32);
+  if (!crypto.timingSafeEqual(hash, Buffer.from(stored.hash, "hex"))) {
+    recordPasscodeFailure(ws);
+    connLog(ws).info("Wrong passcode", { ip: ws.ip });
+    rejectJoin(ws, "passcode-invalid", "Wrong passcode");
+    return false;
+  }
+
+  return true;
+}
+
+function isPasscodeThrottled(ws) {
+  if (ws.passcodeFailures >= PASSCODE_MAX_FAILURES_PER_CONNECTION) {
+    return true;
+  }
+  const entry = passcodeFailures.get(ws.ip);
+  return (
+    !!entry &&
+    entry.resetAt > Date.now() &&
+    entry.count >= PASSCODE_MAX_FAILURES_PER_IP
   );
+}
+
+function recordPasscodeFailure(ws) {
+  ws.passcodeFailures++;
+
+  const now = Date.now();
+  const entry = passcodeFailures.get(ws.ip);
+  if (!entry || entry.resetAt <= now) {
+    passcodeFailures.set(ws.ip, {
+      count: 1,
+      resetAt: now + PASSCODE_FAILURE_WINDOW,
+    });
+  } else {
+    entry.count++;
+  }
+}
+
+// Count a log report against its IP; true once the IP is over the limit
+function isClientLogThrottled(ip) {
+  const now = Date.now();
+  const entry = clientLogReports.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    clientLogReports.set(ip, { count: 1, resetAt: now + CLIENT_LOG_WINDOW });
+    return false;
+  }
+  entry.count++;
+  return entry.count > CLIENT_LOG_MAX_REPORTS;
+}
+
+// Count a minted room against its IP; true once the IP is over the limit
+function isRoomMintThrottled(ip) {
+  const now = Date.now();
+  const entry = roomMints.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    roomMints.set(ip, { count: 1, resetAt: now + ROOM_MINT_WINDOW });
+    return false;
+  }
+  entry.count++;
+  return entry.count > ROOM_MINT_MAX_PER_IP;
+}
+
+// Client log entries are untrusted: keep known fields, cap their size
+function clientLogEntry(entry) {
+  entry = entry || {};
+  let details = null;
+  try {
+    const json = JSON.stringify(entry.details);
+    details = json && json.length <= 2000 ? entry.details : null;
+  } catch {
+    // Circular or otherwise unserializable - drop it
+  }
+  return {
+    time: clientLogString(entry.time, 32),
+    level: clientLogString(entry.level, 8),
+    msg: clientLogString(entry.msg, 1000),
+    details: details,
+  };
+}
+
+function clientLogString(value, max) {
+  return typeof value === "string" ? value.slice(0, max) : null;
+}
+
+// Forget IPs whose failure window has passed
+function pruneFailedPasscodes() {
+  const now = Date.now();
+  passcodeFailures.forEach((entry, ip) => {
+    if (entry.resetAt <= now) {
+      passcodeFailures.delete(ip);
+    }
+  });
+}
+
+function pruneClientLogReports() {
+  const now = Date.now();
+  clientLogReports.forEach((entry, ip) => {
+    if (entry.resetAt <= now) {
+      clientLogReports.delete(ip);
+    }
+  });
+}
+
+function pruneRoomMints() {
+  const now = Date.now();
+  roomMints.forEach((entry, ip) => {
+    if (entry.resetAt <= now) {
+      roomMints.delete(ip);
+    }
+  });
+}
+
+function isRoomFull(roomId) {
+  const record = roomStore.get(roomId);
+  const limit = record ? record.settings.maxParticipants : MAX_PARTICIPANTS;
+  return roomAdapter.members(roomId).length >= limit;
+}
+
+function isRoomHost(ws) {
+  const roomId = clientRooms.get(ws);
+  return !!roomId && roomAdapter.host(roomId) === ws.peerId;
+}
+
+// Put a joiner in the lobby and ask the host to let them in
+function handleKnock(ws, roomId) {
+  waitingClients.set(ws, roomId);
+  roomAdapter.addWaiting(roomId, ws.peerId, ws.displayName);
+  connLog(ws).info("Knocking");
+
+  ws.send(JSON.stringify({ type: "waiting", roomId: roomId }));
+  sendKnock(roomId, roomAdapter.host(roomId), ws.peerId);
+  notifyAdmins();
+}
+
+function sendKnock(roomId, hostPeerId, guestPeerId) {
+  const guest = roomAdapter.waitingEntry(roomId, guestPeerId);
+  if (hostPeerId && guest) {
+    roomAdapter.send(hostPeerId, {
+      type: "knock",
+      peerId: guestPeerId,
+      displayName: guest.displayName,
+    });
+  }
+}
+
+// Take a knocking client out of the lobby (admitted, denied or gone)
+function removeFromLobby(ws) {
+  const roomId = waitingClients.get(ws);
+  if (!roomId) return null;
+
+  waitingClients.delete(ws);
+  roomAdapter.removeWaiting(roomId, ws.peerId);
+  notifyAdmins();
+  return roomId;
+}
+
+// Host lets a knocking client in. The guest may be connected to another
+// node, so the rest happens wherever it is - see admitGuest().
+function handleAdmit(ws, peerId) {
+  if (!isRoomHost(ws)) {
+    sendError(ws, "not-host", "Only the host can do that");
+    return;
+  }
+
+  const roomId = clientRooms.get(ws);
+  if (!roomAdapter.waiting(roomId).includes(peerId)) return;
+
+  connLog(ws).info("Host admitted guest", { guest: peerId });
+  roomAdapter.command(peerId, { type: "admit" });
+}
+
+function admitGuest(guest) {
+  const roomId = removeFromLobby(guest);
+  if (!roomId) return;
+
+  if (isRoomFull(roomId)) {
+    rejectJoin(guest, "room-full", "Room is full");
+    return;
+  }
+  addToRoom(guest, roomId);
+}
+
+// Host turns a knocking client away
+function handleDeny(ws, peerId) {
+  if (!isRoomHost(ws)) {
+    sendError(ws, "not-host", "Only the host can do that");
+    return;
+  }
+
+  const roomId = clientRooms.get(ws);
+  if (!roomAdapter.waiting(roomId).includes(peerId)) return;
+
+  connLog(ws).info("Host denied guest", { guest: peerId });
+  roomAdapter.command(peerId, { type: "deny" });
+}
+
+function denyGuest(guest) {
+  if (!removeFromLobby(guest)) return;
+  rejectJoin(guest, "entry-denied", "The host didn't let you in", {
+    redirect: true,
+  });
+}
+
+// Host removes a participant mid-call
+function handleKick(ws, peerId) {
+  if (!isRoomHost(ws)) {
+    sendError(ws, "not-host", "Only the host can do that");
+    return;
+  }
+
+  const roomId = clientRooms.get(ws);
+  if (peerId === ws.peerId || !roomAdapter.member(roomId, peerId)) return;
+
+  connLog(ws).info("Host removed participant", { target: peerId });
+  revokeHostGrant(roomId, peerId);
+  roomAdapter.command(peerId, { type: "remove" });
+}
+
+// Someone removed from the room can't use a host grant to come back in
+function revokeHostGrant(roomId, peerId) {
+  const record = roomStore.get(roomId);
+  if (!record || !record.hostGrant || record.hostGrant.peerId !== peerId) {
+    return;
+  }
+  record.hostGrant = null;
+  roomStore.save(record);
+  log.info("Host grant revoked", { room: roomId, peer: peerId });
+}
+
+// Put someone out of their room for good (no seat is held for them)
+function removeParticipant(target) {
+  if (target.readyState === WebSocket.OPEN) {
+    target.send(JSON.stringify({ type: "kicked" }));
+  }
+  handleDisconnect(target);
+  target.close();
+}
+
+// Give a member host rights and let the room know who the host is. The
+// member may be on another node; messages find their way through the adapter.
+//
+// The owner already holds the owner token. Anyone else gets a grant of their
+// own to get back in as host after a reload; it stops working once they lose
+// host rights or are removed. The owner token itself never leaves the server
+// again after minting.
+function setRoomHost(roomId, peerId, isOwner) {
+  const record = roomStore.get(roomId);
+  // Closing rooms lose their record before the last members are gone
+  if (!record || roomAdapter.host(roomId) === peerId) return;
+
+  roomAdapter.setHost(roomId, peerId);
+  log.info("New host", { room: roomId, peer: peerId });
+  notifyAdmins();
+
+  // Replacing the grant revokes the previous host's
+  record.hostGrant = isOwner
+    ? null
+    : { peerId: peerId, token: crypto.randomBytes(24).toString("base64url") };
+  roomStore.save(record);
+
+  roomAdapter.send(peerId, {
+    type: "host-assigned",
+    hostToken: record.hostGrant ? record.hostGrant.token : null,
+  });
+  roomAdapter.broadcast(roomId, { type: "host-changed", peerId: peerId });
+
+  // The new host needs to hear about anyone already waiting
+  roomAdapter.waiting(roomId).forEach((guestPeerId) => {
+    sendKnock(roomId, peerId, guestPeerId);
+  });
+}
+
+// Actually place a client in the room and introduce them to everyone
+function addToRoom(ws, roomId) {
+  const existingMembers = roomAdapter.members(roomId);
+
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, new Set());
+    log.debug("Room is live on this node", { room: roomId });
+  }
+  const room = rooms.get(roomId);
 
   // Add client to room
   room.add(ws);
   clientRooms.set(ws, roomId);
-  console.log(`➕ Added user to room. New room size: ${room.size}`);
+  ws.joinedAt = Date.now();
+  roomAdapter.addMember(roomId, {
+    peerId: ws.peerId,
+    joinedAt: ws.joinedAt,
+    displayName: ws.displayName,
+    // Whatever they set before getting in (see handleJoin)
+    ...clientMediaState.get(ws),
+  });
+  joinsTotal.inc({ kind: "new" });
+  connLog(ws).info("Joined room", { size: existingMembers.length + 1 });
+  notifyAdmins();
+
+  // Notify client they joined successfully, along with who is already here
+  sendJoined(ws, roomId, false);
+
+  // Tell everyone already in the room about the newcomer
+  roomAdapter.broadcast(
+    roomId,
+    { type: "peer-joined", peerId: ws.peerId, displayName: ws.displayName },
+    ws.peerId
+  );
+
+  // Catch the newcomer up on everyone's mic, camera and screen share, and
+  // on anyone recording
+  existingMembers.forEach((member) => {
+    if (typeof member.isMuted === "boolean") {
+      ws.send(
+        JSON.stringify({
+          type: "media-state",
+          from: member.peerId,
+          isMuted: member.isMuted,
+          isVideo: member.isVideo,
+          isSharing: member.isSharing,
+        })
+      );
+    }
+    if (member.isRecording) {
+      ws.send(
+        JSON.stringify({
+          type: "recording-status",
+          from: member.peerId,
+          isRecording: true,
+        })
+      );
+    }
+  });
+}
+
+// Tell a member who's in the room, with a fresh resume token for next time
+function sendJoined(ws, roomId, resumed) {
+  const record = roomStore.get(roomId);
+
+  ws.resumeToken = crypto.randomBytes(24).toString("base64url");
+  seatTokens.set(ws.resumeToken, ws);
+
+  const others = roomAdapter
+    .members(roomId)
+    .filter((member) => member.peerId !== ws.peerId);
+  const displayNames = {};
+  others.forEach((member) => {
+    if (member.displayName) {
+      displayNames[member.peerId] = member.displayName;
+    }
+  });
 
-  // Notify client they joined successfully
   ws.send(
     JSON.stringify({
       type: "joined",
       roomId: roomId,
-      isInitiator: isInitiator,
+      peerId: ws.peerId,
+      // Our own name as the others will see it
+      displayName: ws.displayName,
+      peers: others.map((member) => member.peerId),
+      displayNames: displayNames, // peerId -> name, for those who gave one
+      maxParticipants: record.settings.maxParticipants,
+      hostPeerId: roomAdapter.host(roomId),
+      resumeToken: ws.resumeToken,
+      resumed: resumed,
+      ice: iceConfig(),
     })
   );
-  console.log(`📤 Sent 'joined' to user. isInitiator: ${isInitiator}`);
+}
 
-  // If second person joined, notify BOTH clients
-  if (room.size === 2) {
-    // 🆕 Get both clients as an array
-    const clients = Array.from(room);
-    const firstUser = clients[0];
-    const secondUser = clients[1];
+// ICE servers for room members. With a TURN secret configured, each call
+// gets its own short-lived TURN credentials (the coturn "TURN REST" scheme),
+// so nothing long-lived ever reaches the browser. They only go out over a
+// joined connection, so the relay can't be used by just anyone.
+function iceConfig() {
+  const iceServers = [];
 
-    console.log(`🎉 Room is full! Sending 'ready' to both users`);
-    room.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({ type: "ready" }));
-        console.log(`📤 Sent 'ready' to a client`);
-      }
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (TURN_URLS.length > 0 && TURN_SECRET) {
+    const expiresAt = Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL;
+    const username = `${expiresAt}:${crypto.randomBytes(6).toString("hex")}`;
+    const credential = crypto
+      .createHmac("sha1", TURN_SECRET)
+      .update(username)
+      .digest("base64");
+    iceServers.push({
+      urls: TURN_URLS,
+      username: username,
+      credential: credential,
     });
-    // 🆕 Send first user's mute status to second user
-    if (
-      clientMuteStatus.has(firstUser) &&
-      secondUser.readyState === WebSocket.OPEN
-    ) {
-      const firstUserMuted = clientMuteStatus.get(firstUser);
-      secondUser.send(
-        JSON.stringify({
-          type: "mute-status",
-          isMuted: firstUserMuted,
-        })
-      );
-      console.log(
-        `📤 Sent first user's mute status (${firstUserMuted}) to second user`
-      );
-    }
   }
-  // 🆕 Send second user's mute status to first user
-  if (
-    clientMuteStatus.has(secondUser) &&
-    firstUser.readyState === WebSocket.OPEN
-  ) {
-    const secondUserMuted = clientMuteStatus.get(secondUser);
-    firstUser.send(
+
+  return {
+    iceServers: iceServers,
+    iceTransportPolicy: ICE_TRANSPORT_POLICY,
+    ttl: TURN_CREDENTIAL_TTL,
+  };
+}
+
+// A member's TURN credentials are about to run out
+function handleIceServersRequest(ws) {
+  if (!clientRooms.has(ws)) return;
+  ws.send(JSON.stringify({ type: "ice-servers", ...iceConfig() }));
+}
+
+// A member's connection dropped: keep them in the room for the grace period
+// instead of telling everyone they left
+function holdSeat(ws) {
+  connLog(ws).info("Connection dropped, holding seat");
+  notifyAdmins();
+  ws.seatTimeout = setTimeout(() => {
+    connLog(ws).info("Held seat expired");
+    handleDisconnect(ws);
+    forgetPeer(ws);
+  }, RESUME_GRACE_PERIOD);
+}
+
+// Swap a reconnecting client into its old seat. It keeps its peer ID and
+// host role, so the rest of the room never sees it leave.
+function resumeSeat(ws, seat) {
+  const roomId = clientRooms.get(seat);
+
+  clearTimeout(seat.seatTimeout);
+  seatTokens.delete(seat.resumeToken);
+  clientRooms.delete(seat);
+
+  // The old socket may not have noticed it's dead yet
+  seat.replaced = true;
+  if (seat.readyState !== WebSocket.CLOSED) {
+    seat.terminate();
+  }
+
+  peerSockets.delete(ws.peerId);
+  ws.peerId = seat.peerId;
+  peerSockets.set(ws.peerId, ws);
+  ws.joinedAt = seat.joinedAt;
+  // The room already knows us by the old name
+  ws.displayName = seat.displayName;
+  joinsTotal.inc({ kind: "resumed" });
+  if (clientMediaState.has(seat)) {
+    clientMediaState.set(ws, clientMediaState.get(seat));
+    clientMediaState.delete(seat);
+  }
+
+  // Same spot in the join order, so host handover works as before
+  const room = rooms.get(roomId);
+  rooms.set(
+    roomId,
+    new Set(Array.from(room, (client) => (client === seat ? ws : client)))
+  );
+  clientRooms.set(ws, roomId);
+  connLog(ws).info("Resumed seat", { replaced: seat.connId });
+  notifyAdmins();
+
+  sendJoined(ws, roomId, true);
+
+  if (roomAdapter.host(roomId) === ws.peerId) {
+    // Resend our grant and anyone who knocked while we were gone
+    const record = roomStore.get(roomId);
+    const grant =
+      record && record.hostGrant && record.hostGrant.peerId === ws.peerId
+        ? record.hostGrant
+        : null;
+    ws.send(
       JSON.stringify({
-        type: "mute-status",
-        isMuted: secondUserMuted,
+        type: "host-assigned",
+        hostToken: grant ? grant.token : null,
       })
     );
-    console.log(
-      `📤 Sent second user's mute status (${secondUserMuted}) to first user`
-    );
+    roomAdapter.waiting(roomId).forEach((guestPeerId) => {
+      sendKnock(roomId, ws.peerId, guestPeerId);
+    });
+  }
+}
+
+// Send a message to one specific peer in the sender's room (data.target)
+function sendToPeer(sender, data) {
+  const roomId = clientRooms.get(sender);
+
+  if (!roomId || data.target === sender.peerId) {
+    return;
+  }
+
+  if (!roomAdapter.member(roomId, data.target)) {
+    return;
   }
+
+  // Stamp the sender's ID so the receiver knows which connection it's for
+  roomAdapter.send(data.target, { ...data, from: sender.peerId });
 }
 
 // Broadcast message to all other clients in the same room
@@ -269,51 +1442,265 @@ function broadcastToRoom(sender, data) {
     return;
   }
 
-  const room = rooms.get(roomId);
+  // Send to all clients in room except sender
+  roomAdapter.broadcast(
+    roomId,
+    { ...data, from: sender.peerId },
+    sender.peerId
+  );
+}
 
-  if (!room) {
-    return;
+// The adapter hands over messages for peers connected to this node
+function deliverToPeer(peerId, message) {
+  const ws = peerSockets.get(peerId);
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+    messagesRelayedTotal.inc({ type: message.type });
   }
+}
 
-  // Send to all clients in room except sender
-  room.forEach((client) => {
-    if (client !== sender && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(data));
-    }
-  });
+// Act on a client connected to this node, at the request of whichever node
+// the host or admin is on
+function handleCommand(peerId, command) {
+  const ws = peerSockets.get(peerId);
+  if (!ws) return;
+
+  switch (command.type) {
+    case "admit":
+      admitGuest(ws);
+      break;
+    case "deny":
+      denyGuest(ws);
+      break;
+    case "remove":
+      connLog(ws).info("Removed from the room");
+      removeParticipant(ws);
+      break;
+    case "close":
+      sendError(ws, "room-closed", "This room was closed", { redirect: true });
+      handleDisconnect(ws);
+      ws.close();
+      break;
+    case "room-deleted":
+      // Nobody left to let them in, so send them home
+      if (removeFromLobby(ws)) {
+        sendError(ws, "room-not-found", "Room does not exist", {
+          redirect: true,
+        });
+      }
+      break;
+  }
 }
 // Handle client disconnect
 function handleDisconnect(ws) {
+  ws.pendingJoin = null;
+
+  // Someone knocking gave up - withdraw the request from the host's screen
+  const lobbyRoomId = removeFromLobby(ws);
+  if (lobbyRoomId) {
+    const hostPeerId = roomAdapter.host(lobbyRoomId);
+    if (hostPeerId) {
+      roomAdapter.send(hostPeerId, {
+        type: "knock-cancelled",
+        peerId: ws.peerId,
+      });
+    }
+  }
+
+  // Leaving for good - the seat can't be resumed any more
+  clearTimeout(ws.seatTimeout);
+  seatTokens.delete(ws.resumeToken);
+  clientMediaState.delete(ws);
+
   const roomId = clientRooms.get(ws);
 
   if (roomId) {
     const room = rooms.get(roomId);
-
     if (room) {
       room.delete(ws);
-      console.log(`👋 User disconnected from room ${roomId}`);
-
-      // Notify other clients in room
-      room.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify({ type: "peer-disconnected" }));
-          console.log(`📤 Notified remaining user of disconnection`);
-        }
-      });
-
-      // Delete room if empty
       if (room.size === 0) {
         rooms.delete(roomId);
-        validRooms.delete(roomId);
-        console.log(`🗑️ Room ${roomId} deleted (empty)`);
       }
     }
 
+    const wasHost = roomAdapter.host(roomId) === ws.peerId;
+    roomAdapter.removeMember(roomId, ws.peerId);
+    const remaining = roomAdapter.members(roomId);
+    connLog(ws).info("Left room", { size: remaining.length });
+    callDurationSeconds.observe((Date.now() - ws.joinedAt) / 1000);
+    notifyAdmins();
+
+    // Notify other clients in room
+    roomAdapter.broadcast(roomId, {
+      type: "peer-disconnected",
+      peerId: ws.peerId,
+    });
+
+    // An empty room stays in the store until it expires, so the link keeps
+    // working - only its live state goes. Anyone knocking keeps waiting
+    // for the owner to come back.
+    if (remaining.length === 0) {
+      log.info("Room is now empty", { room: roomId });
+    } else if (wasHost) {
+      // Hand host rights to whoever has been here longest
+      setRoomHost(roomId, remaining[0].peerId);
+    }
+
     clientRooms.delete(ws);
   }
 }
 
+// Connection closed for good - messages for its peer ID have nowhere to go
+function forgetPeer(ws) {
+  if (peerSockets.get(ws.peerId) === ws) {
+    peerSockets.delete(ws.peerId);
+  }
+}
+
+// A member's node went away without saying goodbye. Every node tells its
+// own clients; the node holding the next host hands over host rights.
+function handleMemberLost(roomId, member, wasHost) {
+  log.info("Lost member with its node", {
+    room: roomId,
+    peer: member.peerId,
+    node: member.nodeId,
+  });
+
+  const room = rooms.get(roomId);
+  if (room) {
+    room.forEach((client) => {
+      deliverToPeer(client.peerId, {
+        type: "peer-disconnected",
+        peerId: member.peerId,
+      });
+    });
+  }
+
+  const next = roomAdapter.members(roomId)[0];
+  if (wasHost && next && next.nodeId === roomAdapter.nodeId) {
+    setRoomHost(roomId, next.peerId);
+  }
+}
+
+// Likewise for someone knocking - withdraw the knock if the host is here
+function handleWaitingLost(roomId, peerId) {
+  const hostPeerId = roomAdapter.host(roomId);
+  if (hostPeerId && peerSockets.has(hostPeerId)) {
+    deliverToPeer(hostPeerId, { type: "knock-cancelled", peerId: peerId });
+  }
+}
+
+// Forget a room entirely, including its stored record
+function deleteRoom(roomId) {
+  rooms.delete(roomId);
+  roomStore.delete(roomId);
+  notifyAdmins();
+
+  // Nobody left to let them in, so send anyone waiting home
+  roomAdapter.waiting(roomId).forEach((peerId) => {
+    roomAdapter.command(peerId, { type: "room-deleted" });
+  });
+}
+
+// Send everyone in a room home and delete it
+function closeRoom(roomId) {
+  roomAdapter.members(roomId).forEach((member) => {
+    roomAdapter.command(member.peerId, { type: "close" });
+  });
+  deleteRoom(roomId);
+}
+
+// ============ ADMIN ============
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: "Admin API is disabled" });
+    return;
+  }
+
+  // EventSource can't set headers, so the event stream takes ?token= too
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice("Bearer ".length)
+    : req.query.token;
+
+  if (!tokensMatch(token, ADMIN_TOKEN)) {
+    res.status(401).json({ error: "Invalid admin token" });
+    return;
+  }
+  next();
+}
+
+function adminRoomList() {
+  return roomStore
+    .list()
+    .map((record) => {
+      const members = roomAdapter.members(record.id);
+      return {
+        id: record.id,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        claimed: record.claimed,
+        passcodeProtected: !!record.settings.passcode,
+        maxParticipants: record.settings.maxParticipants,
+        participants: members.length,
+        muted: members.filter((member) => member.isMuted).length,
+        waiting: roomAdapter.waiting(record.id).length,
+      };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Details come from the whole cluster; IPs and connection state are only
+// known for clients connected to this node
+function adminRoomDetails(roomId) {
+  const summary = adminRoomList().find((room) => room.id === roomId);
+  if (!summary) return null;
+
+  const hostPeerId = roomAdapter.host(roomId);
+  return {
+    ...summary,
+    participants: roomAdapter.members(roomId).map((member) => {
+      const client = peerSockets.get(member.peerId);
+      return {
+        peerId: member.peerId,
+        displayName: member.displayName || null,
+        node: member.nodeId,
+        ip: client ? client.ip : null,
+        isHost: member.peerId === hostPeerId,
+        isMuted: !!member.isMuted,
+        isRecording: !!member.isRecording,
+        // Dropped, with the seat held for a reconnect
+        reconnecting: !!client && !!client.seatTimeout,
+      };
+    }),
+    waiting: roomAdapter.waiting(roomId).map((peerId) => {
+      const client = peerSockets.get(peerId);
+      const guest = roomAdapter.waitingEntry(roomId, peerId);
+      return {
+        peerId: peerId,
+        displayName: guest ? guest.displayName : null,
+        ip: client ? client.ip : null,
+      };
+    }),
+  };
+}
+
+// Push the room list to every open admin page. Changes tend to come in
+// bursts (a join touches several things), so send one update per burst.
+function notifyAdmins() {
+  if (adminStreams.size === 0 || adminNotifyTimer) return;
+
+  adminNotifyTimer = setTimeout(() => {
+    adminNotifyTimer = null;
+    const payload = `event: rooms\ndata: ${JSON.stringify(
+      adminRoomList()
+    )}\n\n`;
+    adminStreams.forEach((res) => res.write(payload));
+  }, 250);
+}
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+  log.info(`Server running on http://localhost:${PORT}`);
 });
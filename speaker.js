@@ -0,0 +1,191 @@
+// speaker.js - Who is talking: speaking rings on the videos, a warning when
+// we talk into a muted mic, and (if turned on in settings) putting whoever
+// is speaking in the big video
+const mutedWarningElem = document.getElementById("muted-warning");
+const autoSpotlightElem = document.getElementById("auto-spotlight");
+
+const SPEAKER_SAMPLE_INTERVAL = 100; // 100 ms
+// RMS levels (see audio-level.js). The gap between the two keeps a quiet
+// talker from flickering on and off.
+const SPEAKING_LEVEL = 0.04;
+const QUIET_LEVEL = 0.02;
+// Loud for this long before it counts (skips clicks and bumps)...
+const SPEAKING_ONSET = 200;
+// ...and quiet for this long before it stops (pauses between words)
+const SPEAKING_HOLD = 800;
+const MUTED_WARNING_DELAY = 1000;
+// Someone has to talk this long to take the spotlight, and it can't move
+// again straight away
+const AUTO_SPOTLIGHT_AFTER = 1500;
+const AUTO_SPOTLIGHT_COOLDOWN = 4000;
+
+// "local" or a peerId -> { track, input, levelMeter, speaking, speakingSince,
+//   loudSince, quietSince }
+const speakerMeters = new Map();
+let mutedTalkSince = null;
+let lastAutoSpotlight = 0;
+
+autoSpotlightElem.checked = localStorage.getItem("autoSpotlight") === "true";
+autoSpotlightElem.addEventListener("change", () => {
+  localStorage.setItem("autoSpotlight", String(autoSpotlightElem.checked));
+});
+
+setInterval(sampleSpeakers, SPEAKER_SAMPLE_INTERVAL);
+
+function sampleSpeakers() {
+  if (call.state !== "joined" || !window.AudioContext) {
+    stopSpeakerMeters();
+    return;
+  }
+
+  const now = Date.now();
+  const localTrack = call.localStream
+    ? call.localStream.getAudioTracks()[0]
+    : null;
+  updateSpeakerMeter("local", localTrack, now);
+
+  call.peers.forEach((peer, peerId) => {
+    updateSpeakerMeter(peerId, peer.remoteStream.getAudioTracks()[0], now);
+  });
+  speakerMeters.forEach((meter, key) => {
+    if (key !== "local" && !call.peers.has(key)) {
+      removeSpeakerMeter(key);
+    }
+  });
+
+  showSpeakers();
+  warnIfMuted(now);
+  autoSpotlight(now);
+}
+
+function updateSpeakerMeter(key, track, now) {
+  let meter = speakerMeters.get(key);
+  if (!track || track.readyState === "ended") {
+    removeSpeakerMeter(key);
+    return;
+  }
+  // A new device or a rebuilt connection brings a new track
+  if (!meter || meter.track !== track) {
+    removeSpeakerMeter(key);
+    meter = createSpeakerMeter(key, track);
+    speakerMeters.set(key, meter);
+  }
+
+  const level = meter.levelMeter.level();
+
+  if (level >= SPEAKING_LEVEL) {
+    meter.quietSince = null;
+    meter.loudSince = meter.loudSince || now;
+    if (!meter.speaking && now - meter.loudSince >= SPEAKING_ONSET) {
+      meter.speaking = true;
+      meter.speakingSince = now;
+    }
+  } else if (level < QUIET_LEVEL) {
+    meter.loudSince = null;
+    meter.quietSince = meter.quietSince || now;
+    if (meter.speaking && now - meter.quietSince >= SPEAKING_HOLD) {
+      meter.speaking = false;
+      meter.speakingSince = null;
+    }
+  }
+}
+
+function createSpeakerMeter(key, track) {
+  // Muting disables our mic track, which would silence the meter too, so
+  // ours listens to a copy. Nothing is sent from it.
+  const input = key === "local" ? track.clone() : track;
+  input.enabled = true;
+
+  return {
+    track: track,
+    input: input,
+    levelMeter: createLevelMeter(input),
+    speaking: false,
+    speakingSince: null,
+    loudSince: null,
+    quietSince: null,
+  };
+}
+
+function removeSpeakerMeter(key) {
+  const meter = speakerMeters.get(key);
+  if (!meter) return;
+
+  meter.levelMeter.stop();
+  if (meter.input !== meter.track) {
+    meter.input.stop();
+  }
+  speakerMeters.delete(key);
+  if (key !== "local") {
+    const tile = peerTileElem(key);
+    if (tile) {
+      tile.classList.remove("speaking");
+    }
+  }
+}
+
+function stopSpeakerMeters() {
+  if (speakerMeters.size === 0) return;
+  Array.from(speakerMeters.keys()).forEach(removeSpeakerMeter);
+  showSpeakers();
+  warnIfMuted(Date.now());
+}
+
+function isSpeaking(key) {
+  const meter = speakerMeters.get(key);
+  return !!meter && meter.speaking;
+}
+
+// Rings on the tiles and on both big videos, whichever way round they are
+function showSpeakers() {
+  call.peers.forEach((peer, peerId) => {
+    const tile = peerTileElem(peerId);
+    if (tile) {
+      tile.classList.toggle("speaking", isSpeaking(peerId));
+    }
+  });
+
+  localVideoElem().classList.toggle(
+    "speaking",
+    isSpeaking("local") && !call.isMuted
+  );
+  remoteVideoElem().classList.toggle(
+    "speaking",
+    !!spotlightPeerId && isSpeaking(spotlightPeerId)
+  );
+}
+
+function warnIfMuted(now) {
+  if (call.isMuted && isSpeaking("local")) {
+    mutedTalkSince = mutedTalkSince || now;
+  } else {
+    mutedTalkSince = null;
+  }
+  mutedWarningElem.classList.toggle(
+    "show",
+    !!mutedTalkSince && now - mutedTalkSince >= MUTED_WARNING_DELAY
+  );
+}
+
+// Bring whoever has been talking for a while into the big video, unless
+// someone is presenting or the spotlight is still talking
+function autoSpotlight(now) {
+  if (!autoSpotlightElem.checked) return;
+  if (now - lastAutoSpotlight < AUTO_SPOTLIGHT_COOLDOWN) return;
+  if (spotlightPeerId && isSpeaking(spotlightPeerId) && mainUser === "them") {
+    return;
+  }
+  for (const peer of call.peers.values()) {
+    if (peer.isSharing) return;
+  }
+
+  for (const [key, meter] of speakerMeters) {
+    if (key === "local" || !meter.speaking) continue;
+    if (now - meter.speakingSince < AUTO_SPOTLIGHT_AFTER) continue;
+    if (key === spotlightPeerId && mainUser === "them") continue;
+
+    lastAutoSpotlight = now;
+    showPeerInMain(key);
+    return;
+  }
+}
@@ -0,0 +1,283 @@
+// stats.js - Connection quality sampling, the stats overlay, and adapting
+// our outgoing video to each link
+const statsPanelElem = document.getElementById("stats-panel");
+const statsListElem = document.getElementById("stats-list");
+
+const STATS_INTERVAL = 2000; // 2 seconds
+const MIN_VIDEO_BITRATE = 150000; // 150 kbps
+const MAX_RESOLUTION_SCALE = 4;
+// Good samples in a row before we try sending more again
+const STEP_UP_AFTER = 3;
+
+// peerId -> { pc, prev, current, bitrateCap, scale, goodSamples }
+const peerStats = new Map();
+
+setInterval(sampleAllStats, STATS_INTERVAL);
+
+function toggleStats() {
+  statsPanelElem.classList.toggle("show");
+  renderStats();
+}
+
+async function sampleAllStats() {
+  // Forget peers that have left
+  peerStats.forEach((entry, peerId) => {
+    if (!call.peers.has(peerId)) {
+      peerStats.delete(peerId);
+    }
+  });
+
+  for (const [peerId, peer] of call.peers) {
+    if (!peer.pc || peer.pc.connectionState !== "connected") continue;
+
+    try {
+      const entry = statsEntry(peerId, peer.pc);
+      const report = await peer.pc.getStats();
+      entry.current = summarizeStats(report, entry.prev);
+      entry.prev = entry.current.raw;
+      await adaptVideo(peer.pc, entry);
+    } catch (error) {
+      log.error("Error reading stats", error);
+    }
+  }
+
+  renderStats();
+}
+
+// A rebuilt connection starts over at full quality
+function statsEntry(peerId, pc) {
+  let entry = peerStats.get(peerId);
+  if (!entry || entry.pc !== pc) {
+    entry = {
+      pc: pc,
+      prev: null,
+      current: null,
+      bitrateCap: MAX_VIDEO_BITRATE,
+      scale: 1,
+      goodSamples: 0,
+    };
+    peerStats.set(peerId, entry);
+  }
+  return entry;
+}
+
+// Boil a getStats() report down to the numbers we show and adapt on.
+// Byte and packet counters are cumulative, so rates come from the
+// difference to the previous sample.
+function summarizeStats(report, prev) {
+  const stats = {};
+  report.forEach((item) => {
+    stats[item.id] = item;
+  });
+  const all = Object.values(stats);
+
+  const outVideo = all.find(
+    (item) => item.type === "outbound-rtp" && item.kind === "video"
+  );
+  const inVideo = all.find(
+    (item) => item.type === "inbound-rtp" && item.kind === "video"
+  );
+  const inAudio = all.find(
+    (item) => item.type === "inbound-rtp" && item.kind === "audio"
+  );
+  const remoteIn = all.find(
+    (item) => item.type === "remote-inbound-rtp" && item.kind === "video"
+  );
+  const transport = all.find((item) => item.type === "transport");
+  const pair =
+    (transport && stats[transport.selectedCandidatePairId]) ||
+    all.find(
+      (item) =>
+        item.type === "candidate-pair" &&
+        item.nominated &&
+        item.state === "succeeded"
+    );
+
+  const raw = {
+    timestamp: Date.now(),
+    bytesSent: outVideo ? outVideo.bytesSent : 0,
+    bytesReceived: inVideo ? inVideo.bytesReceived : 0,
+    packetsReceived: (inVideo || inAudio || {}).packetsReceived || 0,
+    packetsLost: (inVideo || inAudio || {}).packetsLost || 0,
+  };
+
+  const summary = { raw: raw };
+
+  if (prev) {
+    const seconds = (raw.timestamp - prev.timestamp) / 1000;
+    summary.sendBitrate = ((raw.bytesSent - prev.bytesSent) * 8) / seconds;
+    summary.receiveBitrate =
+      ((raw.bytesReceived - prev.bytesReceived) * 8) / seconds;
+
+    const lost = raw.packetsLost - prev.packetsLost;
+    const received = raw.packetsReceived - prev.packetsReceived;
+    summary.receiveLoss = lost + received > 0 ? lost / (lost + received) : 0;
+  }
+
+  // How much of what we send gets lost, as reported back by the peer
+  summary.sendLoss = remoteIn ? remoteIn.fractionLost || 0 : 0;
+  summary.rtt = pair ? pair.currentRoundTripTime : null;
+  summary.jitter = (inVideo || inAudio || {}).jitter;
+
+  if (inVideo) {
+    summary.resolution = inVideo.frameWidth
+      ? `${inVideo.frameWidth}x${inVideo.frameHeight}`
+      : null;
+    summary.fps = inVideo.framesPerSecond;
+  }
+  if (outVideo) {
+    summary.sendResolution = outVideo.frameWidth
+      ? `${outVideo.frameWidth}x${outVideo.frameHeight}`
+      : null;
+  }
+
+  if (pair) {
+    const local = stats[pair.localCandidateId];
+    const remote = stats[pair.remoteCandidateId];
+    summary.route = `${local ? local.candidateType : "?"} → ${
+      remote ? remote.candidateType : "?"
+    }`;
+  }
+
+  summary.quality = rateQuality(summary);
+  return summary;
+}
+
+// good / fair / poor, from the worst of loss and round-trip time
+function rateQuality(summary) {
+  const loss = Math.max(summary.receiveLoss || 0, summary.sendLoss || 0);
+  const rtt = summary.rtt || 0;
+
+  if (loss > 0.1 || rtt > 0.4) return "poor";
+  if (loss > 0.03 || rtt > 0.2) return "fair";
+  return "good";
+}
+
+// ============ ADAPTIVE BITRATE ============
+
+// Back off quickly when the link struggles, creep back up slowly once it's
+// been healthy for a while
+async function adaptVideo(pc, entry) {
+  const sender = pc
+    .getSenders()
+    .find((s) => s.track && s.track.kind === "video");
+  if (!sender) return;
+
+  let bitrateCap = entry.bitrateCap;
+  let scale = entry.scale;
+
+  if (entry.current.quality === "poor") {
+    entry.goodSamples = 0;
+    bitrateCap = Math.max(MIN_VIDEO_BITRATE, Math.round(bitrateCap * 0.7));
+    // Down at the floor, send fewer pixels too
+    if (bitrateCap <= MIN_VIDEO_BITRATE * 2) {
+      scale = Math.min(MAX_RESOLUTION_SCALE, scale * 2);
+    }
+  } else if (entry.current.quality === "good") {
+    entry.goodSamples++;
+    if (entry.goodSamples >= STEP_UP_AFTER) {
+      entry.goodSamples = 0;
+      bitrateCap = Math.min(MAX_VIDEO_BITRATE, Math.round(bitrateCap * 1.15));
+      scale = Math.max(1, scale / 2);
+    }
+  } else {
+    entry.goodSamples = 0;
+  }
+
+  // Shrinking a shared screen makes text unreadable - only cut bitrate
+  if (call.screenStream) {
+    scale = 1;
+  }
+
+  if (bitrateCap === entry.bitrateCap && scale === entry.scale) return;
+
+  const parameters = sender.getParameters();
+  if (!parameters.encodings || !parameters.encodings.length) {
+    parameters.encodings = [{}];
+  }
+  parameters.encodings[0].maxBitrate = bitrateCap;
+  parameters.encodings[0].scaleResolutionDownBy = scale;
+  await sender.setParameters(parameters);
+
+  log.info("Adapted outgoing video", {
+    kbps: Math.round(bitrateCap / 1000),
+    scale: scale,
+  });
+  entry.bitrateCap = bitrateCap;
+  entry.scale = scale;
+}
+
+// ============ OVERLAY ============
+
+function renderStats() {
+  if (!statsPanelElem.classList.contains("show")) return;
+
+  statsListElem.innerHTML = "";
+  if (call.peers.size === 0) {
+    statsListElem.textContent = "No one else is here yet";
+    return;
+  }
+
+  call.peers.forEach((peer, peerId) => {
+    const entry = peerStats.get(peerId);
+    const summary = entry && entry.current;
+
+    const item = document.createElement("div");
+    item.className = "stats-peer";
+
+    const title = document.createElement("div");
+    title.className = "stats-title";
+    const dot = document.createElement("span");
+    dot.className = `quality-dot ${summary ? summary.quality : ""}`;
+    title.appendChild(dot);
+    title.appendChild(document.createTextNode(participantLabel(peerId)));
+    item.appendChild(title);
+
+    const rows = summary
+      ? [
+          ["Round trip", formatMs(summary.rtt)],
+          ["Packet loss", formatLoss(summary)],
+          ["Jitter", formatMs(summary.jitter)],
+          ["Receiving", formatBitrate(summary.receiveBitrate)],
+          ["Sending", formatBitrate(summary.sendBitrate)],
+          ["Send cap", formatBitrate(entry.bitrateCap)],
+          ["Resolution", summary.resolution || "-"],
+          ["Sending at", summary.sendResolution || "-"],
+          ["Frame rate", summary.fps ? `${Math.round(summary.fps)} fps` : "-"],
+          ["Route", summary.route || "-"],
+        ]
+      : [["Status", "Connecting..."]];
+
+    rows.forEach(([name, value]) => {
+      const row = document.createElement("div");
+      row.className = "stats-row";
+      const label = document.createElement("span");
+      label.textContent = name;
+      const text = document.createElement("span");
+      text.textContent = value;
+      row.appendChild(label);
+      row.appendChild(text);
+      item.appendChild(row);
+    });
+
+    statsListElem.appendChild(item);
+  });
+}
+
+function formatMs(seconds) {
+  return typeof seconds === "number" ? `${Math.round(seconds * 1000)} ms` : "-";
+}
+
+function formatBitrate(bitsPerSecond) {
+  if (typeof bitsPerSecond !== "number") return "-";
+  if (bitsPerSecond >= 1000000) {
+    return `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`;
+  }
+  return `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
+
+function formatLoss(summary) {
+  const receive = ((summary.receiveLoss || 0) * 100).toFixed(1);
+  const send = ((summary.sendLoss || 0) * 100).toFixed(1);
+  return `${receive}% in / ${send}% out`;
+}
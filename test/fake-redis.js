@@ -0,0 +1,108 @@
+// fake-redis.js - Just enough of a Redis server for the tests: PING, AUTH,
+// SELECT, PUBLISH, SUBSCRIBE, HSET, HDEL and HGETALL, with no persistence.
+// Set REDIS_URL to run the cross-node tests against a real one instead.
+const net = require("net");
+const { parseReply } = require("../redis-client");
+
+function bulk(value) {
+  return value === null
+    ? "$-1\r\n"
+    : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function array(items) {
+  return (
+    `*${items.length}\r\n` +
+    items
+      .map((item) => (typeof item === "number" ? `:${item}\r\n` : bulk(item)))
+      .join("")
+  );
+}
+
+// Resolves with { url, dropConnections(), close() } once it's listening
+function startFakeRedis() {
+  const hashes = new Map(); // key -> Map of field -> value
+  const subscribers = new Map(); // channel -> Set of sockets
+  const sockets = new Set();
+
+  function run(socket, [name, ...args]) {
+    switch (name.toUpperCase()) {
+      case "PING":
+      case "AUTH":
+      case "SELECT":
+        return "+OK\r\n";
+      case "SUBSCRIBE":
+        return args
+          .map((channel) => {
+            if (!subscribers.has(channel)) {
+              subscribers.set(channel, new Set());
+            }
+            subscribers.get(channel).add(socket);
+            socket.channels.add(channel);
+            return array(["subscribe", channel, socket.channels.size]);
+          })
+          .join("");
+      case "PUBLISH": {
+        const listeners = subscribers.get(args[0]) || new Set();
+        listeners.forEach((listener) => {
+          listener.write(array(["message", args[0], args[1]]));
+        });
+        return `:${listeners.size}\r\n`;
+      }
+      case "HSET":
+        if (!hashes.has(args[0])) {
+          hashes.set(args[0], new Map());
+        }
+        hashes.get(args[0]).set(args[1], args[2]);
+        return ":1\r\n";
+      case "HDEL": {
+        const hash = hashes.get(args[0]);
+        return `:${hash && hash.delete(args[1]) ? 1 : 0}\r\n`;
+      }
+      case "HGETALL":
+        return array([].concat(...(hashes.get(args[0]) || new Map())));
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.channels = new Set();
+    let buffer = Buffer.alloc(0);
+
+    // Commands come in as RESP arrays of bulk strings, the same shape as
+    // replies, so the client's parser reads them
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.end);
+        socket.write(run(socket, parsed.value));
+      }
+    });
+    socket.on("close", () => {
+      sockets.delete(socket);
+      subscribers.forEach((listeners) => listeners.delete(socket));
+    });
+    socket.on("error", () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        // Like a Redis restart, as far as the clients can tell
+        dropConnections() {
+          sockets.forEach((socket) => socket.destroy());
+        },
+        close() {
+          sockets.forEach((socket) => socket.destroy());
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startFakeRedis };
@@ -0,0 +1,195 @@
+// redis.test.js - The Redis client and the multi-node room adapter. Runs
+// against test/fake-redis.js, or a real Redis for the cross-node tests when
+// REDIS_URL is set. npm test runs everything in this directory.
+const test = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const {
+  RedisClient,
+  RedisError,
+  createRedisClients,
+  encodeCommand,
+  parseReply,
+} = require("../redis-client");
+const { RedisRoomAdapter } = require("../room-adapter");
+const { startFakeRedis } = require("./fake-redis");
+
+const quietLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Poll until check() is true, failing after timeout ms
+async function waitFor(check, timeout = 3000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// ============ RESP PARSING ============
+
+test("parseReply reads each reply type", () => {
+  const parse = (text) => parseReply(Buffer.from(text), 0);
+
+  assert.deepStrictEqual(parse("+OK\r\n"), { value: "OK", end: 5 });
+  assert.deepStrictEqual(parse(":42\r\n"), { value: 42, end: 5 });
+  assert.deepStrictEqual(parse("$5\r\nhello\r\n"), { value: "hello", end: 11 });
+  assert.deepStrictEqual(parse("$-1\r\n"), { value: null, end: 5 });
+  assert.deepStrictEqual(parse("*-1\r\n"), { value: null, end: 5 });
+  assert.deepStrictEqual(parse("*2\r\n$1\r\na\r\n*1\r\n:1\r\n").value, [
+    "a",
+    [1],
+  ]);
+
+  const error = parse("-ERR wrong type\r\n").value;
+  assert.ok(error instanceof RedisError);
+  assert.strictEqual(error.message, "ERR wrong type");
+});
+
+test("parseReply counts bulk string lengths in bytes", () => {
+  const buffer = Buffer.from(encodeCommand(["SET", "name", "Zoë"]));
+  const { value, end } = parseReply(buffer, 0);
+  assert.deepStrictEqual(value, ["SET", "name", "Zoë"]);
+  assert.strictEqual(end, buffer.length);
+});
+
+test("parseReply waits for the rest of a partial reply", () => {
+  const whole = "*2\r\n$5\r\nhello\r\n:7\r\n";
+  for (let length = 0; length < whole.length; length++) {
+    assert.strictEqual(
+      parseReply(Buffer.from(whole.slice(0, length)), 0),
+      null,
+      `prefix of length ${length}`
+    );
+  }
+});
+
+test("parseReply picks up where the previous reply ended", () => {
+  const buffer = Buffer.from("+first\r\n:2\r\n");
+  const first = parseReply(buffer, 0);
+  assert.strictEqual(first.value, "first");
+  assert.deepStrictEqual(parseReply(buffer, first.end), {
+    value: 2,
+    end: buffer.length,
+  });
+});
+
+test("parseReply rejects an unknown reply type", () => {
+  assert.throws(() => parseReply(Buffer.from("?what\r\n"), 0), RedisError);
+});
+
+// ============ CLIENT ============
+
+test("RedisClient", async (t) => {
+  const server = await startFakeRedis();
+  const clients = [];
+  const connect = (name) => {
+    const client = new RedisClient(server.url, { log: quietLog, name: name });
+    clients.push(client);
+    return client;
+  };
+  t.after(() => {
+    clients.forEach((client) => client.close());
+    return server.close();
+  });
+
+  await t.test("runs commands and returns their replies", async () => {
+    const client = connect("commands");
+    assert.strictEqual(await client.command("HSET", "h", "a", "1"), 1);
+    assert.deepStrictEqual(await client.command("HGETALL", "h"), ["a", "1"]);
+    await assert.rejects(client.command("NOPE"), RedisError);
+  });
+
+  await t.test(
+    "reconnects, replays queued commands and re-subscribes",
+    async () => {
+      const commands = connect("commands");
+      const subscriber = connect("subscriber");
+      const received = [];
+      subscriber.subscribe("news", (message) => received.push(message));
+      await Promise.all([once(commands, "ready"), once(subscriber, "ready")]);
+
+      server.dropConnections();
+      await Promise.all([once(commands, "down"), once(subscriber, "down")]);
+      assert.strictEqual(commands.connected, false);
+
+      // Published messages are never queued; other commands wait
+      await assert.rejects(commands.publish("news", "lost"), RedisError);
+      const queued = commands.command("HSET", "h", "b", "2");
+
+      await Promise.all([once(commands, "ready"), once(subscriber, "ready")]);
+      assert.strictEqual(await queued, 1);
+
+      await commands.publish("news", "after");
+      await waitFor(() => received.length > 0);
+      assert.deepStrictEqual(received, ["after"]);
+    }
+  );
+
+  await t.test(
+    "closing fails queued commands and stops reconnecting",
+    async () => {
+      const client = connect("commands");
+      await once(client, "ready");
+      server.dropConnections();
+      await once(client, "down");
+
+      const queued = client.command("PING");
+      client.close();
+      await assert.rejects(queued, /Client closed/);
+
+      // ...and it stays closed, past the first reconnect attempt
+      await new Promise((resolve) => setTimeout(resolve, 700));
+      assert.strictEqual(client.connected, false);
+    }
+  );
+});
+
+// ============ ROOM ADAPTER ACROSS NODES ============
+
+test("RedisRoomAdapter delivers to peers on another node", async (t) => {
+  const server = process.env.REDIS_URL ? null : await startFakeRedis();
+  const url = process.env.REDIS_URL || server.url;
+  // A channel of our own, in case the Redis is shared
+  const channel = `test:rooms:${process.pid}:${Date.now()}`;
+
+  const nodes = [1, 2].map(() => {
+    const redis = createRedisClients(url, quietLog);
+    const adapter = new RedisRoomAdapter(redis, {
+      channel: channel,
+      log: quietLog,
+    });
+    return { redis, adapter };
+  });
+  t.after(() => {
+    nodes.forEach(({ redis, adapter }) => {
+      adapter.close();
+      redis.commands.close();
+      redis.subscriber.close();
+    });
+    return server && server.close();
+  });
+  const [a, b] = nodes.map(({ adapter }) => adapter);
+  await waitFor(() => a.isReady() && b.isReady());
+
+  const delivered = [];
+  a.on("deliver", (peerId, message) => delivered.push({ peerId, message }));
+  b.on("deliver", (peerId) => assert.fail(`delivered ${peerId} on node b`));
+
+  a.addMember("room1", { peerId: "alice", displayName: "Alice" });
+  await waitFor(() => b.member("room1", "alice") !== null);
+  assert.strictEqual(b.member("room1", "alice").nodeId, a.nodeId);
+  assert.strictEqual(b.isLocal("alice"), false);
+
+  b.send("alice", { type: "chat", text: "hi" });
+  b.broadcast("room1", { type: "peer-left", peerId: "bob" });
+  await waitFor(() => delivered.length === 2);
+  assert.deepStrictEqual(delivered, [
+    { peerId: "alice", message: { type: "chat", text: "hi" } },
+    { peerId: "alice", message: { type: "peer-left", peerId: "bob" } },
+  ]);
+
+  a.removeMember("room1", "alice");
+  await waitFor(() => b.member("room1", "alice") === null);
+});